@@ -3,26 +3,220 @@
  * ES6+ Vanilla JavaScript
  * 
  * Features:
+ * - Listings rendered from a JSON data source
  * - Live search with debounce
+ * - Ranked, typo-tolerant search index
+ * - Search query language (tag:, category:, owner:, town:, -exclusions)
  * - Category & tag filtering
+ * - Sorting and paged "Load more" results
+ * - Live facet counts with zero-result options disabled
  * - Ownership filters (women-owned, veteran-owned, new)
- * - Contact modal with lead routing
- * - Claim listing flow (mock)
- * - Favorites toggle
+ * - Contact modal with lead delivery and an offline retry queue
+ * - Lead spam screening (honeypot, timing, rate limits, content checks)
+ * - Accessible contact form validation with phone formatting
+ * - Claim listing flow with code and document ownership verification
+ * - Add your business wizard with duplicate checks and review queue
+ * - Business detail pages with hash routing (#/business/<id>)
+ * - Persistent favorites with a Saved view and shareable list links
  */
 
 'use strict';
 
+// ========================================
+// Configuration
+// ========================================
+
+/**
+ * Defaults can be overridden by defining window.RT_DIRECTORY_CONFIG
+ * before app.js loads, e.g. to point dataUrl at a live endpoint. Nested
+ * groups such as `leadScreening` are merged, so an override only needs
+ * the settings it changes.
+ * `leadTransport` may be an async function (lead) => {} that replaces
+ * the default POST to `leadEndpoint`; leads flagged as suspected spam
+ * carry `routing: 'suspected-spam'` and go to `spamLeadEndpoint` instead.
+ * `verificationProvider` replaces the local stub that issues and checks
+ * claim verification codes (see createLocalVerificationProvider), and
+ * `mailTransport` the stub that logs owners' lead digests (see
+ * createLocalMailTransport), and `analyticsSink` the local store that
+ * usage events are batched into (see createLocalAnalyticsSink).
+ * `prerender` is set by scripts/prerender.js, which renders pages ahead of
+ * time; markup that depends on the clock or the visitor is left out.
+ * `reviewerKeySalt` is mixed into the hash reviewers are matched by; give
+ * each directory its own so keys can't be compared across sites.
+ * `isModerator` is a function () => boolean that decides who may open the
+ * #/admin pages (see canModerate); without it only localhost can.
+ */
+const config = mergeConfig({
+    dataUrl: 'data/businesses.json',
+    gazetteerUrl: 'data/gazetteer.json',
+    countyMapUrl: 'data/county-map.json',
+    pageSize: 12,
+    newListingDays: 30,
+    featuredSlots: 3,
+    storagePrefix: 'rt-directory',
+    leadEndpoint: 'api/leads',
+    spamLeadEndpoint: 'api/leads/suspected-spam',
+    leadTransport: null,
+    leadScreening: {
+        minFillMs: 3000,
+        maxLinks: 2,
+        duplicateWindowMs: 24 * 60 * 60 * 1000,
+        rateLimits: {
+            browser: { max: 5, windowMs: 60 * 60 * 1000 },
+            business: { max: 2, windowMs: 60 * 60 * 1000 },
+            email: { max: 3, windowMs: 60 * 60 * 1000 }
+        }
+    },
+    verificationProvider: null,
+    mailTransport: null,
+    leadDigest: {
+        intervalMs: 24 * 60 * 60 * 1000
+    },
+    analyticsSink: null,
+    prerender: false,
+    reviewerKeySalt: 'rt-directory-reviews',
+    isModerator: null,
+    analytics: {
+        batchSize: 20,
+        flushIntervalMs: 15 * 1000,
+        maxBuffered: 500,
+        searchSettleMs: 1500,
+        retentionDays: 90
+    },
+    claimVerification: {
+        codeTtlMs: 10 * 60 * 1000,
+        resendCooldownMs: 30 * 1000,
+        maxSends: 3,
+        maxAttempts: 5,
+        lockoutMs: 30 * 60 * 1000,
+        maxDocumentBytes: 10 * 1024 * 1024
+    }
+}, window.RT_DIRECTORY_CONFIG);
+
+/**
+ * Checked by tag rather than prototype so objects from another realm
+ * (scripts/prerender.js runs the app in a vm sandbox) still count
+ */
+function isPlainObject(value) {
+    return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+/**
+ * Defaults with overrides applied. Plain objects are merged key by key;
+ * anything else (functions, transports, arrays) replaces the default.
+ */
+function mergeConfig(defaults, overrides) {
+    if (!isPlainObject(overrides)) return defaults;
+
+    const merged = { ...defaults };
+    Object.entries(overrides).forEach(([key, value]) => {
+        merged[key] = isPlainObject(defaults[key]) && isPlainObject(value)
+            ? mergeConfig(defaults[key], value)
+            : value;
+    });
+    return merged;
+}
+
+const CATEGORY_LABELS = {
+    automotive: 'Automotive',
+    construction: 'Construction & Trades',
+    food: 'Food & Dining',
+    health: 'Health & Wellness',
+    home: 'Home Services',
+    professional: 'Professional Services',
+    retail: 'Retail & Shopping',
+    technology: 'Technology'
+};
+
+const OWNERSHIP_LABELS = {
+    women: 'Women-Owned',
+    veteran: 'Veteran-Owned',
+    new: 'New This Month'
+};
+
+const SORT_LABELS = {
+    relevance: 'Relevance',
+    name: 'Name A–Z',
+    newest: 'Newest',
+    featured: 'Featured first',
+    rating: 'Highest rated',
+    distance: 'Distance'
+};
+
+/**
+ * Days of the week in display order; keys are used by the hours model
+ */
+const WEEK_DAYS = [
+    { key: 'mon', label: 'Monday' },
+    { key: 'tue', label: 'Tuesday' },
+    { key: 'wed', label: 'Wednesday' },
+    { key: 'thu', label: 'Thursday' },
+    { key: 'fri', label: 'Friday' },
+    { key: 'sat', label: 'Saturday' },
+    { key: 'sun', label: 'Sunday' }
+];
+
+/**
+ * Listing claim states, ranked so a stronger status is never downgraded
+ */
+const CLAIM_STATUS_RANK = {
+    unclaimed: 0,
+    pending: 1,
+    claimed: 2
+};
+
+const BADGE_LABELS = {
+    featured: 'Featured',
+    new: 'New',
+    women: 'Women-Owned',
+    veteran: 'Veteran-Owned'
+};
+
 // ========================================
 // State Management
 // ========================================
-const state = {
-    filters: {
+
+/**
+ * The filter model shared by the search box, pills, select, sidebar and tags.
+ * `exclude` holds negated clauses from the search query language; `saved`
+ * limits results to favorites and `list` to the ids of a shared saved list.
+ * `near` is the origin for distances ({ kind, query, label, lat, lng }) and
+ * `radius` limits results to that many miles from it. `open` is { now: true }
+ * or a weekday and time ({ day: 'sat', time: '10:00' }). `minRating` keeps
+ * businesses whose average review is at least that many stars.
+ */
+function createEmptyFilters() {
+    return {
         search: '',
         category: '',
+        town: '',
         tags: new Set(),
-        ownership: new Set()
-    }
+        ownership: new Set(),
+        saved: false,
+        list: new Set(),
+        near: null,
+        radius: null,
+        open: null,
+        minRating: null,
+        exclude: {
+            category: new Set(),
+            town: new Set(),
+            tags: new Set(),
+            ownership: new Set(),
+            terms: new Set()
+        }
+    };
+}
+
+const state = {
+    businesses: [],
+    favorites: new Set(),
+    claims: {},
+    filters: createEmptyFilters(),
+    sort: 'relevance',
+    layout: 'list',
+    pagesShown: 1,
+    userLocation: null
 };
 
 // ========================================
@@ -34,6 +228,7 @@ const $$ = (selector) => document.querySelectorAll(selector);
 const elements = {
     searchInput: $('#search-input'),
     searchForm: $('.search-form'),
+    searchFeedback: $('#search-feedback'),
     filterPills: $$('.filter-pill'),
     categorySelect: $('#category-select'),
     categoryItems: $$('.category-item'),
@@ -42,26 +237,86 @@ const elements = {
     clearFiltersBtn: $('#clear-filters-btn'),
     resultsCount: $('#results-count'),
     listingsGrid: $('#listings-grid'),
-    businessCards: $$('.business-card'),
+    featuredSection: $('#featured-section'),
+    featuredGrid: $('#featured-grid'),
+    listingsRange: $('#listings-range'),
+    sortSelect: $('#sort-select'),
+    sortFeedback: $('#sort-feedback'),
+    layoutButtons: $$('.layout-toggle-btn'),
+    listingsMap: $('#listings-map'),
+    nearForm: $('#near-form'),
+    nearInput: $('#near-input'),
+    nearOptions: $('#near-options'),
+    nearMeBtn: $('#near-me-btn'),
+    nearFeedback: $('#near-feedback'),
+    radiusSelect: $('#radius-select'),
+    ratingBtn: $('#rating-btn'),
+    openNowBtn: $('#open-now-btn'),
+    openDay: $('#open-day'),
+    openTime: $('#open-time'),
+    loadMore: $('#load-more'),
+    loadMoreBtn: $('#load-more-btn'),
+    savedBtn: $('#saved-btn'),
+    savedCount: $('#saved-count'),
+    savedBar: $('#saved-bar'),
+    savedBarText: $('#saved-bar-text'),
+    shareSavedBtn: $('#share-saved-btn'),
+    keepSharedBtn: $('#keep-shared-btn'),
     noResults: $('#no-results'),
+    loadError: $('#load-error'),
+    retryLoadBtn: $('#retry-load-btn'),
+    statBusinesses: $('#stat-businesses'),
+    statCategories: $('#stat-categories'),
+    statNew: $('#stat-new'),
     contactModal: $('#contact-modal'),
     contactForm: $('#contact-form'),
     contactBusinessName: $('#contact-business-name'),
     contactSuccess: $('#contact-success'),
-    contactBtns: $$('.contact-btn'),
+    contactQueued: $('#contact-queued'),
+    contactReview: $('#contact-review'),
+    contactError: $('#contact-error'),
+    contactErrorSummary: $('#contact-error-summary'),
+    contactSubmit: $('#contact-submit'),
     claimModal: $('#claim-modal'),
     claimBtn: $('#claim-btn'),
     claimSearch: $('#claim-search'),
     claimResults: $('#claim-results'),
-    claimSteps: $$('.claim-step'),
+    claimSteps: $$('#claim-modal .claim-step'),
     claimStep1: $('#claim-step-1'),
     claimStep2: $('#claim-step-2'),
     claimStep3: $('#claim-step-3'),
+    claimStep4: $('#claim-step-4'),
+    claimCodePanel: $('#claim-code-panel'),
+    claimCodeLabel: $('#claim-code-label'),
+    claimCode: $('#claim-code'),
+    claimCodeStatus: $('#claim-code-status'),
+    claimCodeError: $('#claim-code-error'),
+    claimResend: $('#claim-resend'),
+    claimDocumentPanel: $('#claim-document-panel'),
+    claimDocument: $('#claim-document'),
+    claimDocumentError: $('#claim-document-error'),
+    claimDocumentPreview: $('#claim-document-preview'),
+    claimCompleteTitle: $('#claim-complete-title'),
+    businessDetail: $('#business-detail'),
+    ownerDashboard: $('#owner-dashboard'),
+    adminView: $('#admin-view'),
+    addBusinessModal: $('#add-business-modal'),
+    addBusinessForm: $('#add-business-form'),
+    addBusinessSteps: $$('#add-business-modal .claim-step'),
+    addErrorSummary: $('#add-error-summary'),
+    addBack: $('#add-back'),
+    addNext: $('#add-next'),
+    addHours: $('#add-hours'),
+    addPhotos: $('#add-photos'),
+    addPhotoPreviews: $('#add-photo-previews'),
+    addDuplicates: $('#add-duplicates'),
+    addReview: $('#add-review'),
+    addSubmitError: $('#add-submit-error'),
+    claimCompleteText: $('#claim-complete-text'),
     claimSelectedBusiness: $('#claim-selected-business'),
     claimBack: $('#claim-back'),
     claimNext: $('#claim-next'),
-    verificationOptions: $$('.verification-option'),
-    favoriteButtons: $$('.card-favorite')
+    verificationOptions: $$('.verification-option')
 };
 
 // ========================================
@@ -90,6 +345,141 @@ function normalizeText(text) {
     return text.toLowerCase().trim();
 }
 
+/**
+ * Escape a value for safe interpolation into HTML strings
+ */
+function escapeHTML(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Convert a name into a URL-safe identifier
+ */
+function slugify(text) {
+    return normalizeText(text)
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Great-circle distance in miles between two { lat, lng } points
+ */
+function distanceInMiles(from, to) {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const earthRadiusMiles = 3958.8;
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * earthRadiusMiles * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Read a JSON value from localStorage, falling back if missing or unavailable
+ */
+function readStorage(key, fallback) {
+    try {
+        const value = localStorage.getItem(`${config.storagePrefix}:${key}`);
+        return value === null ? fallback : JSON.parse(value);
+    } catch (error) {
+        return fallback;
+    }
+}
+
+/**
+ * Write a JSON value to localStorage; storage can be full or disabled
+ */
+function writeStorage(key, value) {
+    try {
+        localStorage.setItem(`${config.storagePrefix}:${key}`, JSON.stringify(value));
+        return true;
+    } catch (error) {
+        console.warn(`Unable to save ${key}:`, error);
+        return false;
+    }
+}
+
+/**
+ * Format rows of values as CSV (RFC 4180, CRLF line endings). Cells that
+ * a spreadsheet would run as a formula are prefixed with an apostrophe.
+ */
+function toCSV(rows) {
+    return rows.map(row => row.map(value => {
+        let cell = String(value ?? '');
+        if (/^[=+\-@\t\r]/.test(cell)) cell = `'${cell}`;
+        return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+    }).join(',')).join('\r\n');
+}
+
+/**
+ * Parse CSV text into rows of cells. Handles quoted cells, doubled quotes,
+ * CRLF or LF line endings and a byte order mark, skips blank lines, and
+ * drops the apostrophe toCSV puts in front of formula-like cells.
+ */
+function parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"' && cell === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    row.push(cell);
+    rows.push(row);
+
+    return rows
+        .map(cells => cells.map(value => value.replace(/^'(?=[=+\-@\t\r])/, '')))
+        .filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Save generated text as a file through a temporary download link
+ */
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
 /**
  * Announce to screen readers
  */
@@ -104,491 +494,8219 @@ function announceToScreenReader(message) {
 }
 
 // ========================================
-// Filter Logic
+// Business Data
 // ========================================
 
 /**
- * Apply all active filters and update display
+ * Normalize a raw listing record into the business model
  */
-function applyFilters() {
-    const { search, category, tags, ownership } = state.filters;
-    let visibleCount = 0;
+function normalizeBusiness(record) {
+    const ownership = record.ownership || {};
+    const location = record.location || {};
+    const hasLocation = Number.isFinite(Number(location.lat)) && Number.isFinite(Number(location.lng));
+    const hours = record.hours && record.hours.weekly ? record.hours : null;
+    const tags = (Array.isArray(record.tags) ? record.tags : []).filter(tag => tag !== OPEN_24_HOURS_TAG);
 
-    elements.businessCards.forEach(card => {
-        let visible = true;
+    if (isOpen24Hours(hours)) tags.push(OPEN_24_HOURS_TAG);
 
-        // Search filter
-        if (search) {
-            const cardText = normalizeText(card.textContent);
-            const searchTerms = normalizeText(search).split(/\s+/);
-            visible = searchTerms.every(term => cardText.includes(term));
-        }
+    return {
+        id: record.id || slugify(record.name),
+        name: record.name,
+        category: record.category || '',
+        tags,
+        ownership: {
+            women: Boolean(ownership.women),
+            veteran: Boolean(ownership.veteran)
+        },
+        // Both worked out from createdAt and placements by applySchedules
+        isNew: false,
+        featured: false,
+        placements: Array.isArray(record.placements)
+            ? record.placements.filter(placement => placement && ISO_DATE.test(placement.start) && (!placement.end || ISO_DATE.test(placement.end)))
+            : [],
+        town: record.town || '',
+        address: record.address || '',
+        location: hasLocation ? { lat: Number(location.lat), lng: Number(location.lng) } : null,
+        phone: record.phone || '',
+        email: record.email || '',
+        website: record.website || '',
+        claimStatus: CLAIM_STATUS_RANK[record.claimStatus] ? record.claimStatus : 'unclaimed',
+        description: record.description || '',
+        services: Array.isArray(record.services) ? record.services : [],
+        photos: Array.isArray(record.photos) ? record.photos : [],
+        hours,
+        reviews: Array.isArray(record.reviews)
+            ? record.reviews.filter(review => review && review.id && review.createdAt && Number.isInteger(review.rating) && review.rating >= 1 && review.rating <= 5)
+            : [],
+        createdAt: record.createdAt || ''
+    };
+}
 
-        // Category filter
-        if (visible && category) {
-            visible = card.dataset.category === category;
-        }
+/**
+ * Fetch listings from the configured data source.
+ * Accepts either a bare array or an object with a `businesses` array.
+ */
+async function loadBusinesses(url = config.dataUrl) {
+    const response = await fetch(url, { headers: { Accept: 'application/json' } });
 
-        // Ownership filters (OR logic)
-        if (visible && ownership.size > 0) {
-            const cardTags = card.dataset.tags ? card.dataset.tags.split(',') : [];
-            visible = [...ownership].some(filter => cardTags.includes(filter));
-        }
+    if (!response.ok) {
+        throw new Error(`Failed to load listings (${response.status})`);
+    }
 
-        // Tag filters (AND logic)
-        if (visible && tags.size > 0) {
-            const cardTags = card.dataset.tags ? card.dataset.tags.split(',') : [];
-            visible = [...tags].every(tag => cardTags.includes(tag));
-        }
+    const data = await response.json();
+    const records = Array.isArray(data) ? data : data.businesses;
 
-        card.style.display = visible ? '' : 'none';
-        card.setAttribute('aria-hidden', !visible);
-        
-        if (visible) visibleCount++;
-    });
+    if (!Array.isArray(records)) {
+        throw new Error('Listing data must contain a businesses array');
+    }
 
-    elements.resultsCount.textContent = visibleCount;
-    elements.noResults.hidden = visibleCount > 0;
-    elements.listingsGrid.hidden = visibleCount === 0;
+    return records.filter(record => record && record.name).map(normalizeBusiness);
+}
 
-    updateActiveFiltersDisplay();
-    announceToScreenReader(`${visibleCount} businesses found`);
+function getBusinessById(id) {
+    return state.businesses.find(business => business.id === id) || null;
 }
 
 /**
- * Update the active filters tag display
+ * Words that don't distinguish one business name from another
  */
-function updateActiveFiltersDisplay() {
-    const { search, category, tags, ownership } = state.filters;
-    const hasFilters = search || category || tags.size > 0 || ownership.size > 0;
-    
-    elements.activeFiltersContainer.hidden = !hasFilters;
-    
-    if (!hasFilters) return;
+const NAME_NOISE_WORDS = new Set(['llc', 'inc', 'co', 'company', 'corp', 'ltd']);
 
-    let html = '';
+function normalizeBusinessName(name) {
+    return tokenize(name).filter(token => !NAME_NOISE_WORDS.has(token)).join(' ');
+}
 
-    if (search) {
-        html += createFilterTag('search', `Search: "${search}"`);
-    }
+/**
+ * Existing listings that look like the same business as `record`: the same
+ * phone number, or a near-identical name in the same town (or anywhere,
+ * if the name matches exactly). Returns [{ business, reasons }].
+ */
+function findLikelyDuplicates(record, businesses = state.businesses) {
+    const name = normalizeBusinessName(record.name || '');
+    const phone = getPhoneDigits(record.phone || '');
+    const town = normalizeText(record.town || '');
 
-    if (category) {
-        const categoryLabel = elements.categorySelect.options[elements.categorySelect.selectedIndex].text;
-        html += createFilterTag('category', categoryLabel);
-    }
+    return businesses
+        .filter(business => business.id !== record.id)
+        .map(business => {
+            const reasons = [];
+            const otherName = normalizeBusinessName(business.name);
+            const otherTown = normalizeText(business.town);
+            const maxTypos = Math.min(3, Math.floor(Math.max(name.length, otherName.length) / 6));
+            const similarName = name && otherName && (
+                editDistance(name, otherName, maxTypos) <= maxTypos
+                || (Math.min(name.length, otherName.length) >= 6 && (name.includes(otherName) || otherName.includes(name)))
+            );
 
-    ownership.forEach(filter => {
-        const labels = { women: 'Women-Owned', veteran: 'Veteran-Owned', new: 'New This Month' };
-        html += createFilterTag(`ownership-${filter}`, labels[filter]);
-    });
+            if (phone.length === 10 && getPhoneDigits(business.phone) === phone) {
+                reasons.push('Same phone number');
+            }
+            if (similarName && (!town || !otherTown || town === otherTown)) {
+                reasons.push(town && town === otherTown ? 'Similar name in the same town' : 'Similar name');
+            } else if (name && name === otherName) {
+                reasons.push('Same name');
+            }
 
-    tags.forEach(tag => {
-        html += createFilterTag(`tag-${tag}`, tag);
-    });
+            return { business, reasons };
+        })
+        .filter(({ reasons }) => reasons.length > 0);
+}
 
-    html += '<button type="button" class="clear-all-filters" id="clear-all">Clear all</button>';
+/**
+ * Highlight flags in badge display order (featured, new, women, veteran).
+ * Featured and new change by the day, so pre-rendered pages leave them out.
+ */
+function getBusinessFlags(business) {
+    const flags = [];
+    if (business.featured && !config.prerender) flags.push('featured');
+    if (business.isNew && !config.prerender) flags.push('new');
+    if (business.ownership.women) flags.push('women');
+    if (business.ownership.veteran) flags.push('veteran');
+    return flags;
+}
 
-    elements.activeFiltersContainer.innerHTML = html;
+// ========================================
+// Business Hours
+// ========================================
 
-    // Add event listeners
-    elements.activeFiltersContainer.querySelectorAll('.remove-filter').forEach(btn => {
-        btn.addEventListener('click', handleRemoveFilter);
+/**
+ * Hours are stored as local wall-clock times for East Tennessee, so status
+ * is always worked out in this zone whatever the visitor's own time zone.
+ */
+const DIRECTORY_TIME_ZONE = 'America/New_York';
+const MINUTES_PER_DAY = 24 * 60;
+const CLOSING_SOON_MINUTES = 60;
+
+/** Tag derived from the hours data rather than set by hand */
+const OPEN_24_HOURS_TAG = '24-hour';
+
+const zonedClock = new Intl.DateTimeFormat('en-US', {
+    timeZone: DIRECTORY_TIME_ZONE,
+    weekday: 'short',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+});
+
+/**
+ * The directory's local time as { date: "YYYY-MM-DD", day (WEEK_DAYS index), minutes past midnight }
+ */
+function getZonedTime(date = new Date()) {
+    const parts = Object.fromEntries(zonedClock.formatToParts(date).map(({ type, value }) => [type, value]));
+
+    return {
+        date: `${parts.year}-${parts.month}-${parts.day}`,
+        day: WEEK_DAYS.findIndex(({ label }) => label.startsWith(parts.weekday)),
+        minutes: (Number(parts.hour) % 24) * 60 + Number(parts.minute)
+    };
+}
+
+function addDays(isoDate, days) {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+function parseTime(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+function formatMinutes(minutes) {
+    const time = ((minutes % MINUTES_PER_DAY) + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    return formatTime(`${Math.floor(time / 60)}:${time % 60}`);
+}
+
+function getClosure(hours, isoDate) {
+    return (hours.closures || []).find(closure => closure.date === isoDate) || null;
+}
+
+/**
+ * Opening ranges for one day in minutes past that day's midnight. A closing
+ * time at or before the opening time runs past midnight ("18:00"–"02:00").
+ * Holiday closures on `isoDate` remove the day's ranges.
+ */
+function getDayRanges(hours, day, isoDate) {
+    if (isoDate && getClosure(hours, isoDate)) return [];
+
+    return (hours.weekly[WEEK_DAYS[day].key] || []).map(range => {
+        const start = parseTime(range.open);
+        const end = parseTime(range.close);
+        return { start, end: end <= start ? end + MINUTES_PER_DAY : end };
     });
+}
 
-    $('#clear-all')?.addEventListener('click', clearAllFilters);
+function isOpen24Hours(hours) {
+    return Boolean(hours) && WEEK_DAYS.every((_, day) =>
+        getDayRanges(hours, day).some(range => range.start === 0 && range.end >= MINUTES_PER_DAY)
+    );
 }
 
 /**
- * Create a filter tag HTML string
+ * The range open at `at`, if any, as { closesAt } in minutes past that day's
+ * midnight. Ranges that carry on into the next day (e.g. 24-hour days) are followed.
  */
-function createFilterTag(id, label) {
-    return `
-        <span class="active-filter-tag">
-            ${label}
-            <button type="button" class="remove-filter" data-filter="${id}" aria-label="Remove ${label} filter">
-                <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
-                    <line x1="18" y1="6" x2="6" y2="18"></line>
-                    <line x1="6" y1="6" x2="18" y2="18"></line>
-                </svg>
-            </button>
-        </span>
-    `;
+function findOpenRange(hours, at) {
+    const yesterday = (at.day + WEEK_DAYS.length - 1) % WEEK_DAYS.length;
+    const ranges = [
+        ...getDayRanges(hours, at.day, at.date),
+        ...getDayRanges(hours, yesterday, at.date && addDays(at.date, -1))
+            .map(range => ({ start: range.start - MINUTES_PER_DAY, end: range.end - MINUTES_PER_DAY }))
+    ];
+
+    const open = ranges.find(range => range.start <= at.minutes && at.minutes < range.end);
+    if (!open) return null;
+
+    let closesAt = open.end;
+    for (let offset = 1; offset <= WEEK_DAYS.length && closesAt >= offset * MINUTES_PER_DAY; offset++) {
+        const day = (at.day + offset) % WEEK_DAYS.length;
+        const next = getDayRanges(hours, day, at.date && addDays(at.date, offset)).find(range => range.start === 0);
+        if (!next) break;
+        closesAt = offset * MINUTES_PER_DAY + next.end;
+    }
+
+    return { closesAt };
 }
 
 /**
- * Handle removing a single filter
+ * The next time the business opens within a week, as { offset (days), start }
  */
-function handleRemoveFilter(e) {
-    const filterId = e.currentTarget.dataset.filter;
+function findNextOpening(hours, at) {
+    for (let offset = 0; offset <= WEEK_DAYS.length; offset++) {
+        const day = (at.day + offset) % WEEK_DAYS.length;
+        const starts = getDayRanges(hours, day, addDays(at.date, offset))
+            .map(range => range.start)
+            .filter(start => offset > 0 || start > at.minutes)
+            .sort((a, b) => a - b);
 
-    if (filterId === 'search') {
-        state.filters.search = '';
-        elements.searchInput.value = '';
-    } else if (filterId === 'category') {
-        state.filters.category = '';
-        elements.categorySelect.value = '';
-        updateCategorySidebar('');
-    } else if (filterId.startsWith('ownership-')) {
-        const ownership = filterId.replace('ownership-', '');
-        state.filters.ownership.delete(ownership);
-        updateFilterPill(ownership, false);
-    } else if (filterId.startsWith('tag-')) {
-        const tag = filterId.replace('tag-', '');
-        state.filters.tags.delete(tag);
-        updateTagButton(tag, false);
+        if (starts.length > 0) return { offset, day, start: starts[0] };
     }
+    return null;
+}
 
-    applyFilters();
+/**
+ * Open/closed status for a card or detail page, or null when hours aren't listed.
+ * `state` is one of open, closing-soon, closed or appointment.
+ */
+function getOpenStatus(hours, at = getZonedTime()) {
+    if (!hours) return null;
+
+    const open = findOpenRange(hours, at);
+    if (open) {
+        const remaining = open.closesAt - at.minutes;
+        if (remaining > (WEEK_DAYS.length - 1) * MINUTES_PER_DAY) {
+            return { state: 'open', label: 'Open 24 hours' };
+        }
+        if (remaining <= CLOSING_SOON_MINUTES) {
+            return { state: 'closing-soon', label: `Closing soon · ${formatMinutes(open.closesAt)}` };
+        }
+        return { state: 'open', label: `Open until ${formatMinutes(open.closesAt)}` };
+    }
+
+    const closure = getClosure(hours, at.date);
+    const closed = closure ? `Closed for ${closure.label}` : 'Closed';
+    const next = findNextOpening(hours, at);
+
+    if (!next) {
+        return hours.byAppointment
+            ? { state: 'appointment', label: 'By appointment' }
+            : { state: 'closed', label: closed };
+    }
+
+    const when = next.offset === 0 ? '' : next.offset === 1 ? 'tomorrow ' : `${WEEK_DAYS[next.day].label.slice(0, 3)} `;
+    return { state: 'closed', label: `${closed} · Opens ${when}${formatMinutes(next.start)}` };
 }
 
 /**
- * Clear all filters
+ * The next occurrence of a weekday and time from the "Open at" picker
+ * (today if that time is still ahead), so holiday closures apply.
  */
-function clearAllFilters() {
-    state.filters.search = '';
-    state.filters.category = '';
-    state.filters.tags.clear();
-    state.filters.ownership.clear();
+function resolveOpenAt({ day, time }, now = getZonedTime()) {
+    const dayIndex = WEEK_DAYS.findIndex(({ key }) => key === day);
+    const minutes = parseTime(time);
+    let offset = (dayIndex - now.day + WEEK_DAYS.length) % WEEK_DAYS.length;
+    if (offset === 0 && minutes < now.minutes) offset = WEEK_DAYS.length;
 
-    elements.searchInput.value = '';
-    elements.categorySelect.value = '';
-    
-    elements.filterPills.forEach(pill => {
-        pill.setAttribute('aria-pressed', 'false');
-    });
-    
-    elements.categoryItems.forEach(item => {
-        item.classList.toggle('active', !item.dataset.category);
-    });
-    
-    elements.tagButtons.forEach(btn => {
-        btn.classList.remove('active');
+    return { date: addDays(now.date, offset), day: dayIndex, minutes };
+}
+
+function isOpenAt(hours, at) {
+    return Boolean(hours) && findOpenRange(hours, at) !== null;
+}
+
+function describeOpenFilter(open) {
+    if (open.now) return 'Open now';
+    const { label } = WEEK_DAYS.find(({ key }) => key === open.day);
+    return `Open ${label} ${formatTime(open.time)}`;
+}
+
+function renderOpenStatus(business) {
+    const status = !config.prerender && getOpenStatus(business.hours);
+    if (!status) return '';
+
+    return `<p class="open-status open-status--${status.state}" data-open-status="${escapeHTML(business.id)}">${escapeHTML(status.label)}</p>`;
+}
+
+/**
+ * Statuses change with the clock, so rewrite them in place every minute
+ * rather than re-rendering the cards
+ */
+function refreshOpenStatuses() {
+    const at = getZonedTime();
+
+    $$('[data-open-status]').forEach(element => {
+        const business = getBusinessById(element.dataset.openStatus);
+        const status = business && getOpenStatus(business.hours, at);
+        if (!status) return;
+
+        element.className = `open-status open-status--${status.state}`;
+        element.textContent = status.label;
     });
+}
 
-    applyFilters();
+// ========================================
+// Listing Schedules
+// ========================================
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+/** Directory date the New and Featured flags were last worked out for */
+let scheduleDate = null;
+
+function daysBetween(fromDate, toDate) {
+    return Math.round((Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
 }
 
 /**
- * Update filter pill state
+ * Listed within the last `config.newListingDays` days, today included
  */
-function updateFilterPill(filter, active) {
-    const pill = $(`.filter-pill[data-filter="${filter}"]`);
-    if (pill) {
-        pill.setAttribute('aria-pressed', active ? 'true' : 'false');
-    }
+function isNewListing(business, today) {
+    const listed = business.createdAt.slice(0, 10);
+    if (!ISO_DATE.test(listed)) return false;
+
+    const age = daysBetween(listed, today);
+    return age >= 0 && age < config.newListingDays;
 }
 
 /**
- * Update tag button state
+ * Placements run from `start` to `end` inclusive; no `end` means open-ended
  */
-function updateTagButton(tag, active) {
-    const btn = $(`.tag[data-tag="${tag}"]`);
-    if (btn) {
-        btn.classList.toggle('active', active);
+function isPlacementActive(placement, today) {
+    return placement.start <= today && (!placement.end || today <= placement.end);
+}
+
+/**
+ * Businesses featured today. When more placements are live than there are
+ * `config.featuredSlots`, the window moves along the eligible listings by
+ * a full set of slots each day so they take equal turns.
+ */
+function getFeaturedRotation(businesses, today) {
+    const eligible = businesses
+        .filter(business => business.placements.some(placement => isPlacementActive(placement, today)))
+        .sort((a, b) => a.id.localeCompare(b.id));
+    const slots = config.featuredSlots;
+
+    if (eligible.length <= slots) return eligible;
+
+    const offset = (daysBetween('1970-01-01', today) * slots) % eligible.length;
+    return Array.from({ length: slots }, (_, i) => eligible[(offset + i) % eligible.length]);
+}
+
+/**
+ * Set each listing's New and Featured flags for the directory's current date
+ */
+function applySchedules(today = getZonedTime().date) {
+    const featured = new Set(getFeaturedRotation(state.businesses, today).map(business => business.id));
+
+    state.businesses.forEach(business => {
+        business.isNew = isNewListing(business, today);
+        business.featured = featured.has(business.id);
+    });
+    scheduleDate = today;
+}
+
+/**
+ * Pick up the next day's badges and placements if the page is left open past midnight
+ */
+function refreshSchedules() {
+    if (state.businesses.length === 0 || getZonedTime().date === scheduleDate) return;
+
+    applySchedules();
+    updateDirectoryStats();
+    applyFilters({ updateHistory: false });
+}
+
+// ========================================
+// Rendering
+// ========================================
+
+const ICONS = {
+    heart: '<svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"></path></svg>',
+    pin: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z"></path><circle cx="12" cy="10" r="3"></circle></svg>',
+    phone: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><path d="M22 16.92v3a2 2 0 0 1-2.18 2 19.79 19.79 0 0 1-8.63-3.07 19.5 19.5 0 0 1-6-6 19.79 19.79 0 0 1-3.07-8.67A2 2 0 0 1 4.11 2h3a2 2 0 0 1 2 1.72 12.84 12.84 0 0 0 .7 2.81 2 2 0 0 1-.45 2.11L8.09 9.91a16 16 0 0 0 6 6l1.27-1.27a2 2 0 0 1 2.11-.45 12.84 12.84 0 0 0 2.81.7A2 2 0 0 1 22 16.92z"></path></svg>',
+    check: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><polyline points="20 6 9 17 4 12"></polyline></svg>',
+    back: '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><line x1="19" y1="12" x2="5" y2="12"></line><polyline points="12 19 5 12 12 5"></polyline></svg>',
+    website: '<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><rect x="2" y="4" width="20" height="16" rx="2"></rect><path d="M7 15h0M2 9h20"></path></svg>'
+};
+
+/**
+ * Build the markup for a single business card.
+ * `highlight` is an optional Set of search tokens to mark in the title and description.
+ */
+function renderBusinessCard(business, highlight = null) {
+    const isFavorite = state.favorites.has(business.id);
+    const name = escapeHTML(business.name);
+    const distance = getBusinessDistance(business);
+
+    const badges = getBusinessFlags(business)
+        .map(flag => `<span class="badge badge--${flag}">${BADGE_LABELS[flag]}</span>`)
+        .join('');
+
+    const services = business.services
+        .map(service => `<span class="card-tag">${escapeHTML(service)}</span>`)
+        .join('');
+
+    const meta = [
+        business.town && `<span class="meta-item">${ICONS.pin}${escapeHTML(business.town)}</span>`,
+        distance !== null && `<span class="meta-item meta-distance">${formatDistance(distance)} away</span>`,
+        business.phone && `<span class="meta-item">${ICONS.phone}${escapeHTML(business.phone)}</span>`,
+        business.website && `<span class="meta-item">${ICONS.website}${escapeHTML(business.website)}</span>`
+    ].filter(Boolean).join('');
+
+    return `
+        <article class="business-card" role="listitem" tabindex="-1" data-id="${escapeHTML(business.id)}">
+            <div class="card-image">
+                ${badges ? `<div class="card-badges">${badges}</div>` : ''}
+                <button type="button" class="card-favorite" aria-label="Save ${name} to favorites" aria-pressed="${isFavorite}">
+                    ${ICONS.heart}
+                </button>
+            </div>
+            <div class="card-body">
+                <span class="card-category">${escapeHTML(CATEGORY_LABELS[business.category] || business.category)}</span>
+                ${getClaimStatus(business) === 'claimed' ? `<span class="card-verified">${ICONS.check}Verified owner</span>` : ''}
+                <h3 class="card-title">${highlightText(business.name, highlight)}</h3>
+                ${renderCardRating(business)}
+                ${renderOpenStatus(business)}
+                <p class="card-description">${highlightText(business.description, highlight)}</p>
+                ${services ? `<div class="card-tags">${services}</div>` : ''}
+                <div class="card-meta">${meta}</div>
+            </div>
+            <div class="card-actions">
+                <button type="button" class="btn btn-secondary contact-btn">Contact</button>
+                <a href="${getBusinessURL(business)}" class="btn btn-primary details-link" aria-label="View details for ${name}">View Details</a>
+            </div>
+        </article>
+    `;
+}
+
+/**
+ * Today's featured listings, in rotation order
+ */
+function renderFeaturedBusinesses() {
+    const featured = getFeaturedRotation(state.businesses, scheduleDate);
+
+    elements.featuredSection.hidden = featured.length === 0;
+    elements.featuredGrid.innerHTML = renderCards(featured);
+}
+
+/**
+ * Pre-rendered pages link to each other's static pages rather than app routes
+ */
+function getBusinessURL(business) {
+    if (config.prerender) return `business/${encodeURIComponent(business.id)}/`;
+    return `#/business/${encodeURIComponent(business.id)}`;
+}
+
+function formatAddress(business) {
+    return [business.address, business.town && `${business.town}, TN`].filter(Boolean).join(', ');
+}
+
+/**
+ * Format "HH:MM" (24-hour) as "9:00 AM"
+ */
+function formatTime(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const suffix = hours % 24 >= 12 ? 'PM' : 'AM';
+    return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${suffix}`;
+}
+
+function renderHoursTable(hours) {
+    if (!hours) return '<p class="detail-muted">Hours not listed. Contact the business for availability.</p>';
+
+    const now = getZonedTime();
+    const rows = WEEK_DAYS.map(({ label }, day) => {
+        const ranges = getDayRanges(hours, day);
+        const text = ranges.length === 0
+            ? 'Closed'
+            : ranges.some(range => range.start === 0 && range.end >= MINUTES_PER_DAY)
+                ? 'Open 24 hours'
+                : ranges.map(range => `${formatMinutes(range.start)} – ${formatMinutes(range.end)}`).join(', ');
+        const today = !config.prerender && day === now.day;
+        return `<tr${today ? ' class="hours-today"' : ''}><th scope="row">${label}${today ? ' <span class="visually-hidden">(today)</span>' : ''}</th><td>${text}</td></tr>`;
+    }).join('');
+
+    const closures = (hours.closures || [])
+        .filter(closure => closure.date >= now.date)
+        .sort((a, b) => a.date.localeCompare(b.date))
+        .map(closure => {
+            const date = new Date(`${closure.date}T12:00:00Z`).toLocaleDateString('en-US', { timeZone: 'UTC', weekday: 'short', month: 'short', day: 'numeric' });
+            return `<li>${escapeHTML(date)} — ${escapeHTML(closure.label || 'Closed')}</li>`;
+        })
+        .join('');
+
+    return `
+        <table class="hours-table">
+            <caption class="visually-hidden">Weekly hours</caption>
+            <tbody>${rows}</tbody>
+        </table>
+        ${hours.byAppointment ? '<p class="detail-muted">By appointment</p>' : ''}
+        ${closures ? `<h3 class="detail-subtitle">Holiday closures</h3><ul class="detail-closures">${closures}</ul>` : ''}
+    `;
+}
+
+/**
+ * Build the full detail view for one business
+ */
+function renderBusinessDetail(business) {
+    const isFavorite = state.favorites.has(business.id);
+    const name = escapeHTML(business.name);
+    const address = formatAddress(business);
+
+    const badges = getBusinessFlags(business)
+        .map(flag => `<span class="badge badge--${flag}">${BADGE_LABELS[flag]}</span>`)
+        .join('');
+
+    const services = business.services
+        .map(service => `<span class="card-tag">${escapeHTML(service)}</span>`)
+        .join('');
+
+    const features = business.tags
+        .map(tag => `<li>${ICONS.check}${escapeHTML(formatTagLabel(tag))}</li>`)
+        .join('');
+
+    const photos = business.photos
+        .map((src, index) => `<img src="${escapeHTML(src)}" alt="${name} photo ${index + 1}" loading="lazy">`)
+        .join('');
+
+    const website = business.website && (/^https?:\/\//i.test(business.website) ? business.website : `https://${business.website}`);
+
+    const info = [
+        address && `<div><dt>${ICONS.pin}Address</dt><dd>${escapeHTML(address)}</dd></div>`,
+        !business.address && business.town && `<div><dt>${ICONS.pin}Service area</dt><dd>${escapeHTML(business.town)}</dd></div>`,
+        business.phone && `<div><dt>${ICONS.phone}Phone</dt><dd><a href="tel:+1${getPhoneDigits(business.phone)}">${escapeHTML(business.phone)}</a></dd></div>`,
+        website && `<div><dt>${ICONS.website}Website</dt><dd><a href="${escapeHTML(website)}" target="_blank" rel="noopener">${escapeHTML(business.website)}</a></dd></div>`
+    ].filter(Boolean).join('');
+
+    return `
+        <a href="#/" class="detail-back" data-action="back">${ICONS.back}Back to listings</a>
+        <article class="detail-card" data-id="${escapeHTML(business.id)}">
+            <div class="detail-gallery${photos ? '' : ' detail-gallery--empty'}">
+                ${photos}
+            </div>
+            <header class="detail-header">
+                ${badges ? `<div class="detail-badges">${badges}</div>` : ''}
+                <span class="card-category">${escapeHTML(CATEGORY_LABELS[business.category] || business.category)}</span>
+                ${getClaimStatus(business) === 'claimed' ? `<span class="card-verified">${ICONS.check}Verified owner</span>` : ''}
+                <h1 class="detail-title" id="detail-title" tabindex="-1">${name}</h1>
+            </header>
+            <div class="detail-layout">
+                <div class="detail-main">
+                    <p class="detail-description">${escapeHTML(business.description)}</p>
+                    ${services ? `<h2 class="detail-section-title">Services</h2><div class="card-tags">${services}</div>` : ''}
+                    ${features ? `<h2 class="detail-section-title">Features</h2><ul class="detail-features">${features}</ul>` : ''}
+                    <section class="detail-reviews" id="detail-reviews" aria-labelledby="reviews-title">
+                        ${renderReviewsSection(business)}
+                    </section>
+                </div>
+                <aside class="detail-sidebar" aria-label="Contact and hours">
+                    <dl class="detail-info">${info}</dl>
+                    <h2 class="detail-section-title">Hours</h2>
+                    ${renderOpenStatus(business)}
+                    ${renderHoursTable(business.hours)}
+                    <div class="detail-actions">
+                        <button type="button" class="btn btn-primary contact-btn">Contact ${name}</button>
+                        <button type="button" class="btn btn-secondary detail-favorite" aria-pressed="${isFavorite}">
+                            ${ICONS.heart}Save to favorites
+                        </button>
+                        ${state.claims[business.id] ? `<a href="#/owner/${encodeURIComponent(business.id)}" class="btn btn-secondary">Manage this listing</a>` : ''}
+                    </div>
+                </aside>
+            </div>
+        </article>
+    `;
+}
+
+function renderBusinessNotFound() {
+    return `
+        <a href="#/" class="detail-back" data-action="back">${ICONS.back}Back to listings</a>
+        <div class="no-results">
+            <h1 class="no-results-title detail-title" id="detail-title" tabindex="-1">Business not found</h1>
+            <p class="no-results-text">This listing may have moved or been removed.</p>
+        </div>
+    `;
+}
+
+/**
+ * Build card markup for a list of businesses,
+ * highlighting matched terms when search results are supplied
+ */
+function renderCards(businesses, searchResults = null) {
+    return businesses
+        .map(business => renderBusinessCard(business, searchResults?.get(business.id)?.tokens))
+        .join('');
+}
+
+/**
+ * Update the hero stats from the loaded data
+ */
+function updateDirectoryStats() {
+    const categories = new Set(state.businesses.map(business => business.category).filter(Boolean));
+
+    elements.statBusinesses.textContent = state.businesses.length;
+    elements.statCategories.textContent = categories.size;
+    elements.statNew.textContent = state.businesses.filter(business => business.isNew).length;
+}
+
+// ========================================
+// Search Index
+// ========================================
+
+/**
+ * Field weights: a hit in the name outranks category, then services/description
+ */
+const SEARCH_FIELD_WEIGHTS = {
+    name: 10,
+    category: 6,
+    services: 3,
+    description: 2,
+    town: 2
+};
+
+const SEARCH_MATCH_FACTORS = {
+    exact: 1,
+    prefix: 0.75,
+    typo: 0.5
+};
+
+const SEARCH_STOP_WORDS = new Set(['a', 'an', 'and', 'at', 'for', 'in', 'of', 'on', 'the', 'to', 'with']);
+
+/**
+ * Text of each indexed field
+ */
+const SEARCH_FIELD_TEXT = {
+    name: business => business.name,
+    category: business => CATEGORY_LABELS[business.category] || business.category,
+    services: business => business.services.join(' '),
+    description: business => business.description,
+    town: business => business.town
+};
+
+let searchIndex = null;
+
+/**
+ * Fold accents and case so "Café" and "cafe" compare equal
+ */
+function foldText(text) {
+    return String(text ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+}
+
+/**
+ * Split text into folded search tokens, dropping punctuation and stop words
+ */
+function tokenize(text) {
+    return foldText(text)
+        .split(/[^a-z0-9]+/)
+        .filter(token => token && !SEARCH_STOP_WORDS.has(token));
+}
+
+/**
+ * Edit distance with adjacent transpositions, abandoned once it exceeds max
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let prevPrev = [];
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], prevPrev[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+
+        if (rowMin > max) return max + 1;
+        prevPrev = prev;
+        prev = current;
+    }
+
+    return prev[b.length];
+}
+
+/**
+ * Build an inverted index of token -> (business id -> field weight).
+ * Only the fields named in `weights` are indexed.
+ */
+function buildSearchIndex(businesses, weights = SEARCH_FIELD_WEIGHTS) {
+    const postings = new Map();
+
+    const addField = (id, text, weight) => {
+        new Set(tokenize(text)).forEach(token => {
+            if (!postings.has(token)) postings.set(token, new Map());
+            const entry = postings.get(token);
+            entry.set(id, (entry.get(id) || 0) + weight);
+        });
+    };
+
+    businesses.forEach(business => {
+        Object.entries(weights).forEach(([field, weight]) => {
+            addField(business.id, SEARCH_FIELD_TEXT[field](business), weight);
+        });
+    });
+
+    return { postings, vocabulary: [...postings.keys()], termCache: new Map() };
+}
+
+/**
+ * Find indexed tokens that match a query term, with a factor for match quality
+ */
+function expandSearchTerm(index, term, { allowTypos = true } = {}) {
+    const matches = [];
+    const maxTypos = !allowTypos ? 0 : term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+
+    index.vocabulary.forEach(token => {
+        if (token === term) {
+            matches.push({ token, factor: SEARCH_MATCH_FACTORS.exact });
+        } else if (term.length >= 2 && token.startsWith(term)) {
+            matches.push({ token, factor: SEARCH_MATCH_FACTORS.prefix });
+        } else if (maxTypos > 0 && editDistance(term, token, maxTypos) <= maxTypos) {
+            matches.push({ token, factor: SEARCH_MATCH_FACTORS.typo });
+        }
+    });
+
+    return matches;
+}
+
+/**
+ * Score businesses against a free-text query.
+ * Returns a Map of business id -> { score, tokens } where tokens are the
+ * indexed words that matched (used for highlighting). Multi-word queries
+ * must match at least half of their terms, so "hvac repair" still finds
+ * "Valley HVAC Solutions"; covering more terms ranks higher. Returns null
+ * when the query is only stop words, so it doesn't filter anything out.
+ */
+function searchBusinesses(query, index = searchIndex) {
+    const terms = [...new Set(tokenize(query))];
+    if (terms.length === 0) return null;
+
+    const results = new Map();
+    if (!index) return results;
+
+    const hits = new Map();
+
+    terms.forEach(term => {
+        const termScores = new Map();
+
+        expandSearchTerm(index, term).forEach(({ token, factor }) => {
+            index.postings.get(token).forEach((weight, id) => {
+                const current = termScores.get(id) || { score: 0, tokens: [] };
+                current.score = Math.max(current.score, weight * factor);
+                current.tokens.push(token);
+                termScores.set(id, current);
+            });
+        });
+
+        termScores.forEach(({ score, tokens }, id) => {
+            const hit = hits.get(id) || { score: 0, termsMatched: 0, tokens: new Set() };
+            hit.score += score;
+            hit.termsMatched += 1;
+            tokens.forEach(token => hit.tokens.add(token));
+            hits.set(id, hit);
+        });
+    });
+
+    const requiredTerms = Math.ceil(terms.length / 2);
+
+    hits.forEach((hit, id) => {
+        if (hit.termsMatched < requiredTerms) return;
+        results.set(id, {
+            score: hit.score * (hit.termsMatched / terms.length),
+            tokens: hit.tokens
+        });
+    });
+
+    return results;
+}
+
+/**
+ * Escape text for HTML, wrapping words whose folded form is in tokens with <mark>
+ */
+function highlightText(text, tokens) {
+    if (!tokens || tokens.size === 0) return escapeHTML(text);
+
+    return String(text)
+        .split(/([\p{L}\p{N}]+)/u)
+        .map((part, i) => {
+            const isWord = i % 2 === 1;
+            return isWord && tokens.has(foldText(part))
+                ? `<mark>${escapeHTML(part)}</mark>`
+                : escapeHTML(part);
+        })
+        .join('');
+}
+
+/**
+ * Ids of businesses containing a word or prefix, without typo expansion.
+ * Used for exclusions, where a fuzzy match would hide too much.
+ */
+function findBusinessesWithTerm(term, index = searchIndex) {
+    if (!index) return new Set();
+    if (index.termCache.has(term)) return index.termCache.get(term);
+
+    const ids = new Set();
+    tokenize(term).forEach(word => {
+        expandSearchTerm(index, word, { allowTypos: false }).forEach(({ token }) => {
+            index.postings.get(token).forEach((_, id) => ids.add(id));
+        });
+    });
+
+    index.termCache.set(term, ids);
+    return ids;
+}
+
+// ========================================
+// Search Query Language
+// ========================================
+
+/**
+ * Qualifiers accepted in the search box, e.g.
+ * tag:delivery town:"Oak Ridge" -category:food owner:veteran
+ */
+const QUERY_QUALIFIERS = ['category', 'owner', 'tag', 'town'];
+
+const OWNER_ALIASES = {
+    women: 'women',
+    woman: 'women',
+    'women-owned': 'women',
+    veteran: 'veteran',
+    veterans: 'veteran',
+    'veteran-owned': 'veteran',
+    new: 'new'
+};
+
+/**
+ * Split a query into tokens, tracking qualifiers, negation and quoting.
+ * A token is `complete` once whitespace follows it; the trailing token
+ * may still be mid-typing.
+ */
+function tokenizeQuery(query) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < query.length) {
+        if (/\s/.test(query[i])) {
+            i++;
+            continue;
+        }
+
+        const start = i;
+        let negate = false;
+        let qualifier = null;
+
+        if (query[i] === '-' && i + 1 < query.length && !/\s/.test(query[i + 1])) {
+            negate = true;
+            i++;
+        }
+
+        const qualifierMatch = /^([a-z]+):/i.exec(query.slice(i));
+        if (qualifierMatch) {
+            qualifier = qualifierMatch[1].toLowerCase();
+            i += qualifierMatch[0].length;
+        }
+
+        let value = '';
+        let unclosedQuote = false;
+
+        if (query[i] === '"') {
+            const close = query.indexOf('"', i + 1);
+            if (close === -1) {
+                unclosedQuote = true;
+                value = query.slice(i + 1);
+                i = query.length;
+            } else {
+                value = query.slice(i + 1, close);
+                i = close + 1;
+            }
+        } else {
+            while (i < query.length && !/\s/.test(query[i])) i++;
+            value = query.slice(start, i).slice((negate ? 1 : 0) + (qualifier ? qualifier.length + 1 : 0));
+        }
+
+        tokens.push({
+            raw: query.slice(start, i),
+            negate,
+            qualifier,
+            value: value.trim(),
+            unclosedQuote,
+            complete: i < query.length
+        });
+    }
+
+    return tokens;
+}
+
+/**
+ * Map a qualifier value onto the filter model's canonical value
+ */
+function resolveQualifierValue(qualifier, value) {
+    if (!value) {
+        return { error: `"${qualifier}:" needs a value` };
+    }
+
+    if (qualifier === 'category') {
+        const slug = slugify(value);
+        const key = Object.keys(CATEGORY_LABELS).find(k =>
+            k === slug || slugify(CATEGORY_LABELS[k]) === slug
+        );
+        return key
+            ? { value: key }
+            : { error: `Unknown category "${value}". Try: ${Object.keys(CATEGORY_LABELS).join(', ')}` };
+    }
+
+    if (qualifier === 'owner') {
+        const owner = OWNER_ALIASES[slugify(value)];
+        return owner
+            ? { value: owner }
+            : { error: `Unknown owner "${value}". Try: women, veteran, new` };
+    }
+
+    if (qualifier === 'tag') {
+        const tag = slugify(value);
+        return getKnownTags().has(tag)
+            ? { value: tag }
+            : { error: `Unknown tag "${value}". Try: ${[...getKnownTags()].join(', ')}` };
+    }
+
+    if (qualifier === 'town') {
+        const town = getKnownTowns().find(t => foldText(t) === foldText(value));
+        return town
+            ? { value: town }
+            : { error: `No listings in town "${value}"` };
+    }
+
+    return { error: `Unknown qualifier "${qualifier}:". Use ${QUERY_QUALIFIERS.map(q => `${q}:`).join(', ')}` };
+}
+
+/**
+ * Parse a search query into filter clauses, free text and errors.
+ * With `final` false the trailing token is left alone while it is still being typed.
+ */
+function parseSearchQuery(query, { final = false } = {}) {
+    const clauses = [];
+    const errors = [];
+    const text = [];
+    const remaining = [];
+
+    tokenizeQuery(query).forEach(token => {
+        const settled = final || token.complete;
+
+        if (token.unclosedQuote) {
+            if (settled) errors.push(`Missing closing quote in ${token.raw}`);
+            remaining.push(token.raw);
+            return;
+        }
+
+        if (!token.qualifier && !token.negate) {
+            text.push(token.value);
+            remaining.push(token.raw);
+            return;
+        }
+
+        if (!settled) {
+            remaining.push(token.raw);
+            return;
+        }
+
+        if (!token.qualifier) {
+            clauses.push({ field: 'terms', value: foldText(token.value), negate: true });
+            return;
+        }
+
+        const resolved = resolveQualifierValue(token.qualifier, token.value);
+        if (resolved.error) {
+            errors.push(resolved.error);
+            remaining.push(token.raw);
+            return;
+        }
+
+        const field = { category: 'category', owner: 'ownership', tag: 'tags', town: 'town' }[token.qualifier];
+        clauses.push({ field, value: resolved.value, negate: token.negate });
+    });
+
+    return { clauses, errors, text: text.join(' '), remaining: remaining.join(' ') };
+}
+
+/**
+ * Merge a parsed clause into the filter model
+ */
+function applyQueryClause({ field, value, negate }) {
+    const { filters } = state;
+
+    if (negate) {
+        filters.exclude[field].add(value);
+        if (field === 'category' && filters.category === value) filters.category = '';
+        if (field === 'town' && filters.town === value) filters.town = '';
+        if (filters[field] instanceof Set) filters[field].delete(value);
+        return;
+    }
+
+    if (field === 'category' || field === 'town') {
+        filters[field] = value;
+    } else {
+        filters[field].add(value);
+    }
+    filters.exclude[field].delete(value);
+}
+
+/**
+ * Run the search box through the query parser and update filters.
+ * Settled clauses move out of the box and into chips and controls;
+ * invalid ones stay in the box with inline feedback.
+ */
+function applySearchQuery(query, { final = false } = {}) {
+    const { clauses, errors, text, remaining } = parseSearchQuery(query, { final });
+
+    clauses.forEach(applyQueryClause);
+    state.filters.search = text;
+
+    if (clauses.length > 0) {
+        syncFilterControls();
+        const trailingSpace = !final && remaining && /\s$/.test(query) ? ' ' : '';
+        elements.searchInput.value = `${remaining}${trailingSpace}`;
+    }
+
+    showSearchFeedback(errors);
+    applyFilters({ typing: !final });
+}
+
+function showSearchFeedback(errors) {
+    const hasErrors = errors.length > 0;
+
+    elements.searchFeedback.textContent = errors.join(' ');
+    elements.searchFeedback.hidden = !hasErrors;
+    elements.searchInput.setAttribute('aria-invalid', hasErrors ? 'true' : 'false');
+}
+
+function getKnownTags() {
+    const tags = new Set([...elements.tagButtons].map(btn => btn.dataset.tag));
+    state.businesses.forEach(business => business.tags.forEach(tag => tags.add(tag)));
+    return tags;
+}
+
+/**
+ * Display label for a tag, taken from its filter button when there is one
+ */
+function formatTagLabel(tag) {
+    const button = [...elements.tagButtons].find(btn => btn.dataset.tag === tag);
+    if (button) return button.firstChild.textContent.trim();
+
+    return tag.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+}
+
+function getKnownTowns() {
+    return [...new Set(state.businesses.map(business => business.town).filter(Boolean))];
+}
+
+// ========================================
+// Sorting & Pagination
+// ========================================
+
+let currentResults = { businesses: [], searchResults: null };
+
+/**
+ * Order results by the active sort mode. Relevance uses search scores
+ * when searching and data order otherwise; other modes fall back to it for ties.
+ */
+function sortBusinesses(businesses, searchResults, sort = state.sort) {
+    const sorted = [...businesses];
+
+    if (searchResults) {
+        sorted.sort((a, b) => searchResults.get(b.id).score - searchResults.get(a.id).score);
+    }
+
+    if (sort === 'name') {
+        sorted.sort((a, b) => a.name.localeCompare(b.name, 'en', { sensitivity: 'base' }));
+    } else if (sort === 'newest') {
+        sorted.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    } else if (sort === 'featured') {
+        sorted.sort((a, b) => Number(b.featured) - Number(a.featured));
+    } else if (sort === 'rating') {
+        const ratings = new Map(sorted.map(business => [business.id, getRatingSummary(business)]));
+        sorted.sort((a, b) => {
+            const ratingA = ratings.get(a.id);
+            const ratingB = ratings.get(b.id);
+            return ratingB.average - ratingA.average || ratingB.count - ratingA.count;
+        });
+    } else if (sort === 'distance' && getDistanceOrigin()) {
+        const distance = (business) => getBusinessDistance(business) ?? Infinity;
+        sorted.sort((a, b) => distance(a) - distance(b));
+    }
+
+    return sorted;
+}
+
+/**
+ * Human-readable range for the shown results, e.g. "1–12 of 30"
+ */
+function describeRange(start, end, total) {
+    return total === 0 ? '0 of 0' : `${start}–${end} of ${total}`;
+}
+
+/**
+ * Render the first page of the current results
+ */
+function renderResultsPage() {
+    const { businesses, searchResults } = currentResults;
+    const shown = Math.min(businesses.length, state.pagesShown * config.pageSize);
+
+    elements.listingsGrid.innerHTML = renderCards(businesses.slice(0, shown), searchResults);
+    renderFeaturedBusinesses();
+    updatePaginationControls(shown);
+
+    if (state.layout === 'map') renderMap();
+}
+
+function updatePaginationControls(shown) {
+    const total = currentResults.businesses.length;
+
+    if (state.layout === 'map') {
+        elements.listingsRange.textContent = total > 0 ? `Showing all ${total} on the map` : '';
+        elements.loadMore.hidden = true;
+        return;
+    }
+
+    elements.listingsRange.textContent = total > 0 ? `Showing ${describeRange(1, shown, total)} businesses` : '';
+    elements.loadMore.hidden = shown >= total;
+}
+
+/**
+ * Append the next page of cards and move focus to the first new one
+ */
+function handleLoadMore() {
+    const { businesses, searchResults } = currentResults;
+    const start = state.pagesShown * config.pageSize;
+    const end = Math.min(businesses.length, start + config.pageSize);
+
+    state.pagesShown++;
+    elements.listingsGrid.insertAdjacentHTML('beforeend', renderCards(businesses.slice(start, end), searchResults));
+    updatePaginationControls(end);
+
+    elements.listingsGrid.children[start]?.focus();
+    announceToScreenReader(`Showing ${describeRange(start + 1, end, businesses.length)} businesses`);
+}
+
+/**
+ * Resolve the browser's location for distance sorting and "Use my location"
+ */
+function requestUserLocation() {
+    return new Promise((resolve, reject) => {
+        if (!navigator.geolocation) {
+            reject(new Error('Geolocation is not supported by this browser'));
+            return;
+        }
+
+        navigator.geolocation.getCurrentPosition(
+            position => resolve({ lat: position.coords.latitude, lng: position.coords.longitude }),
+            reject,
+            { timeout: 10000, maximumAge: 300000 }
+        );
+    });
+}
+
+async function handleSortChange(e) {
+    const sort = e.target.value;
+    elements.sortFeedback.hidden = true;
+
+    if (sort === 'distance' && !getDistanceOrigin()) {
+        try {
+            state.userLocation = await requestUserLocation();
+        } catch (error) {
+            e.target.value = state.sort;
+            elements.sortFeedback.textContent = 'We couldn\'t get your location, so results can\'t be sorted by distance. Enter a town or ZIP code instead.';
+            elements.sortFeedback.hidden = false;
+            return;
+        }
+    }
+
+    state.sort = sort;
+    applyFilters();
+}
+
+// ========================================
+// Location Search
+// ========================================
+
+const NEAR_RADIUS_MILES = [5, 10, 25];
+
+/** Places from the bundled gazetteer; null until it has loaded */
+let gazetteer = null;
+
+/**
+ * Fetch the town and ZIP gazetteer. Location search is optional,
+ * so a failed load leaves the rest of the directory working.
+ */
+async function loadGazetteer(url = config.gazetteerUrl) {
+    try {
+        const response = await fetch(url, { headers: { Accept: 'application/json' } });
+        if (!response.ok) throw new Error(`Failed to load gazetteer (${response.status})`);
+
+        const data = await response.json();
+        return (data.places || []).filter(place =>
+            place && place.name && Number.isFinite(place.lat) && Number.isFinite(place.lng)
+        );
+    } catch (error) {
+        console.warn('Location search unavailable:', error);
+        return [];
+    }
+}
+
+/**
+ * Match a town name, alias or 5-digit ZIP code against the gazetteer.
+ * Tries exact names, then prefixes, then a small typo allowance.
+ * Returns { place, zip } or null.
+ */
+function resolvePlace(query) {
+    const places = gazetteer || [];
+    const text = foldText(query).trim().replace(/,?\s*(tn|tennessee)$/, '').trim();
+    if (!text) return null;
+
+    if (/^\d{5}$/.test(text)) {
+        const place = places.find(candidate => (candidate.zips || []).includes(text));
+        return place ? { place, zip: text } : null;
+    }
+
+    const names = (place) => [place.name, ...(place.aliases || [])].map(foldText);
+    const maxTypos = text.length >= 8 ? 2 : 1;
+    const place = places.find(candidate => names(candidate).includes(text)) ||
+        (text.length >= 3 && places.find(candidate => names(candidate).some(name => name.startsWith(text)))) ||
+        (text.length >= 4 && places.find(candidate =>
+            names(candidate).some(name => editDistance(text, name, maxTypos) <= maxTypos)
+        ));
+
+    return place ? { place, zip: null } : null;
+}
+
+/**
+ * Build the `near` filter for a gazetteer match
+ */
+function createPlaceOrigin({ place, zip }) {
+    return {
+        kind: 'place',
+        query: zip || place.name,
+        label: zip ? `${zip} (${place.name})` : place.name,
+        lat: place.lat,
+        lng: place.lng
+    };
+}
+
+function createDeviceOrigin(location) {
+    return { kind: 'device', query: 'me', label: 'your location', ...location };
+}
+
+/**
+ * Fill in coordinates for a `near` filter read from the URL. Device
+ * locations are never written to the URL, so "near=me" only resolves
+ * when this session already knows where the user is.
+ */
+function resolveNearFilter(filters = state.filters) {
+    const { near } = filters;
+    if (!near || Number.isFinite(near.lat) || !gazetteer) return;
+
+    if (near.kind === 'device') {
+        filters.near = state.userLocation ? createDeviceOrigin(state.userLocation) : null;
+    } else {
+        const match = resolvePlace(near.query);
+        filters.near = match ? createPlaceOrigin(match) : null;
+    }
+
+    if (!filters.near) filters.radius = null;
+}
+
+/**
+ * Where distances are measured from: the chosen place, else the browser location
+ */
+function getDistanceOrigin() {
+    const { near } = state.filters;
+    if (near && Number.isFinite(near.lat)) return near;
+    return state.userLocation;
+}
+
+function getBusinessDistance(business, origin = getDistanceOrigin()) {
+    return origin && business.location ? distanceInMiles(origin, business.location) : null;
+}
+
+function formatDistance(miles) {
+    if (miles < 0.1) return '< 0.1 mi';
+    return `${miles < 10 ? miles.toFixed(1) : Math.round(miles)} mi`;
+}
+
+function showNearFeedback(message) {
+    elements.nearFeedback.textContent = message;
+    elements.nearFeedback.hidden = !message;
+    elements.nearInput.setAttribute('aria-invalid', message ? 'true' : 'false');
+}
+
+/**
+ * Reflect the near and radius filters in the location controls
+ */
+function syncNearControls() {
+    const { near, radius } = state.filters;
+
+    elements.nearInput.value = near && near.kind === 'place' ? near.label : '';
+    elements.radiusSelect.value = radius ? String(radius) : '';
+    elements.radiusSelect.disabled = !near;
+}
+
+function renderPlaceOptions() {
+    elements.nearOptions.innerHTML = (gazetteer || [])
+        .map(place => `<option value="${escapeHTML(place.name)}"></option>`)
+        .join('');
+}
+
+function handleNearSubmit(e) {
+    e.preventDefault();
+    showNearFeedback('');
+
+    const query = elements.nearInput.value.trim();
+    const { near } = state.filters;
+    if (query === (near && near.kind === 'place' ? near.label : '')) return;
+
+    if (!query) {
+        state.filters.near = null;
+        state.filters.radius = null;
+    } else {
+        const match = resolvePlace(query);
+        if (!match) {
+            showNearFeedback(`We couldn't find "${query}". Try an East Tennessee town name or 5-digit ZIP code.`);
+            return;
+        }
+        state.filters.near = createPlaceOrigin(match);
+    }
+
+    syncNearControls();
+    applyFilters();
+}
+
+async function handleNearMeClick() {
+    const button = elements.nearMeBtn;
+    showNearFeedback('');
+    button.setAttribute('aria-busy', 'true');
+    button.disabled = true;
+
+    try {
+        state.userLocation = await requestUserLocation();
+        state.filters.near = createDeviceOrigin(state.userLocation);
+        syncNearControls();
+        applyFilters();
+    } catch (error) {
+        showNearFeedback('We couldn\'t get your location. Enter a town or ZIP code instead.');
+    } finally {
+        button.setAttribute('aria-busy', 'false');
+        button.disabled = false;
+    }
+}
+
+function handleRadiusChange(e) {
+    const radius = Number(e.target.value);
+    state.filters.radius = NEAR_RADIUS_MILES.includes(radius) ? radius : null;
+    applyFilters();
+}
+
+// ========================================
+// Map View
+// ========================================
+
+/** County outlines for the offline map; fetched the first time the map is shown */
+let countyMap = null;
+let openMapPin = null;
+
+async function loadCountyMap(url = config.countyMapUrl) {
+    if (countyMap) return countyMap;
+
+    const response = await fetch(url, { headers: { Accept: 'application/json' } });
+    if (!response.ok) {
+        throw new Error(`Failed to load map (${response.status})`);
+    }
+
+    countyMap = await response.json();
+    return countyMap;
+}
+
+/**
+ * Equirectangular projection scaled by the cosine of the middle latitude,
+ * which is accurate enough at county scale. Coordinates are SVG units,
+ * 1000 wide, with equal units per mile in both directions.
+ */
+function createMapProjection({ north, south, west, east }) {
+    const width = 1000;
+    const lngScale = Math.cos((north + south) / 2 * Math.PI / 180);
+    const height = Math.round(width * (north - south) / ((east - west) * lngScale));
+
+    return {
+        width,
+        height,
+        unitsPerMile: height / (north - south) / 69,
+        project: (lat, lng) => [
+            (lng - west) / (east - west) * width,
+            (north - lat) / (north - south) * height
+        ],
+        contains: ({ lat, lng }) => lat <= north && lat >= south && lng >= west && lng <= east
+    };
+}
+
+/**
+ * Group businesses that share a town into one pin, placed at their average position
+ */
+function clusterByTown(businesses) {
+    const groups = new Map();
+
+    businesses.forEach(business => {
+        const key = foldText(business.town) || business.id;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(business);
+    });
+
+    return [...groups.values()].map(members => ({
+        town: members[0].town,
+        businesses: members,
+        lat: members.reduce((sum, business) => sum + business.location.lat, 0) / members.length,
+        lng: members.reduce((sum, business) => sum + business.location.lng, 0) / members.length
+    }));
+}
+
+function renderCountyOutlines(map, projection) {
+    return map.counties.map(county => {
+        const points = county.outline
+            .map(([lat, lng]) => projection.project(lat, lng).map(value => value.toFixed(1)).join(','))
+            .join(' ');
+        const [labelX, labelY] = projection.project(...county.label);
+
+        return `
+            <polygon class="map-county${county.focus ? ' map-county--focus' : ''}" points="${points}"></polygon>
+            <text class="map-county-label" x="${labelX.toFixed(1)}" y="${labelY.toFixed(1)}">${escapeHTML(county.name)} County</text>
+        `;
+    }).join('');
+}
+
+/**
+ * Mark the near-search origin, with a ring for the radius filter
+ */
+function renderMapOrigin(projection) {
+    const { near, radius } = state.filters;
+    if (!near || !Number.isFinite(near.lat) || !projection.contains(near)) return '';
+
+    const [x, y] = projection.project(near.lat, near.lng);
+    const ring = radius
+        ? `<circle class="map-radius" cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="${(radius * projection.unitsPerMile).toFixed(1)}"></circle>`
+        : '';
+
+    return `${ring}<circle class="map-origin" cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="7"></circle>`;
+}
+
+function renderMapPin(cluster, projection) {
+    const [x, y] = projection.project(cluster.lat, cluster.lng);
+    const position = `left: ${(x / projection.width * 100).toFixed(2)}%; top: ${(y / projection.height * 100).toFixed(2)}%`;
+    const ids = escapeHTML(cluster.businesses.map(business => business.id).join(','));
+    const count = cluster.businesses.length;
+
+    if (count === 1) {
+        const [business] = cluster.businesses;
+        const label = [business.name, business.town].filter(Boolean).join(', ');
+        return `<button type="button" class="map-pin" style="${position}" data-ids="${ids}" aria-haspopup="dialog" aria-expanded="false" aria-label="${escapeHTML(label)}"></button>`;
+    }
+
+    return `
+        <button type="button" class="map-pin map-pin--cluster" style="${position}" data-ids="${ids}" aria-haspopup="dialog" aria-expanded="false" aria-label="${count} businesses in ${escapeHTML(cluster.town)}">
+            <span aria-hidden="true">${count}</span>
+        </button>
+    `;
+}
+
+/**
+ * Draw the map for every business in the current results (not just the
+ * shown page). Pins are buttons in north-to-south order so they can be tabbed.
+ */
+async function renderMap() {
+    let map;
+
+    try {
+        map = await loadCountyMap();
+    } catch (error) {
+        console.error('Unable to load map:', error);
+        elements.listingsMap.innerHTML = '<p class="map-message" role="alert">The map couldn\'t be loaded. Switch to the list to see these businesses.</p>';
+        return;
+    }
+
+    const projection = createMapProjection(map.bounds);
+    const { businesses } = currentResults;
+    const plotted = businesses.filter(business => business.location && projection.contains(business.location));
+    const clusters = clusterByTown(plotted).sort((a, b) => b.lat - a.lat || a.lng - b.lng);
+    const missing = businesses.length - plotted.length;
+
+    openMapPin = null;
+    elements.listingsMap.innerHTML = `
+        <div class="map-canvas" style="aspect-ratio: ${projection.width} / ${projection.height}">
+            <svg class="map-svg" viewBox="0 0 ${projection.width} ${projection.height}" aria-hidden="true" focusable="false">
+                ${renderCountyOutlines(map, projection)}
+                ${renderMapOrigin(projection)}
+            </svg>
+            <div class="map-pins" role="group" aria-label="Business locations">
+                ${clusters.map(cluster => renderMapPin(cluster, projection)).join('')}
+            </div>
+            <div class="map-popover" id="map-popover" role="dialog" aria-labelledby="map-popover-title" tabindex="-1" hidden></div>
+        </div>
+        ${missing > 0 ? `<p class="map-message">${missing} ${missing === 1 ? 'business has' : 'businesses have'} no map location and ${missing === 1 ? 'is' : 'are'} only shown in the list.</p>` : ''}
+    `;
+}
+
+function findMapPin(businessId) {
+    return [...elements.listingsMap.querySelectorAll('.map-pin')]
+        .find(pin => pin.dataset.ids.split(',').includes(businessId));
+}
+
+function renderMapPopoverActions(business) {
+    return `
+        <div class="map-popover-actions" data-id="${escapeHTML(business.id)}">
+            <button type="button" class="btn btn-secondary contact-btn">Contact</button>
+            <a href="${getBusinessURL(business)}" class="btn btn-primary details-link" aria-label="View details for ${escapeHTML(business.name)}">View Details</a>
+        </div>
+    `;
+}
+
+function renderMapPopoverMeta(business) {
+    const distance = getBusinessDistance(business);
+    return [
+        CATEGORY_LABELS[business.category] || business.category,
+        business.town,
+        distance !== null && `${formatDistance(distance)} away`
+    ].filter(Boolean).map(escapeHTML).join(' · ');
+}
+
+function renderMapPopover(businesses) {
+    const close = '<button type="button" class="map-popover-close" aria-label="Close">&times;</button>';
+
+    if (businesses.length === 1) {
+        const [business] = businesses;
+        return `
+            ${close}
+            <h3 class="map-popover-title" id="map-popover-title">${escapeHTML(business.name)}</h3>
+            <p class="map-popover-meta">${renderMapPopoverMeta(business)}</p>
+            ${renderMapPopoverActions(business)}
+        `;
+    }
+
+    const items = businesses.map(business => `
+        <li class="map-popover-item">
+            <span class="map-popover-name">${escapeHTML(business.name)}</span>
+            <span class="map-popover-meta">${renderMapPopoverMeta(business)}</span>
+            ${renderMapPopoverActions(business)}
+        </li>
+    `).join('');
+
+    return `
+        ${close}
+        <h3 class="map-popover-title" id="map-popover-title">${businesses.length} businesses in ${escapeHTML(businesses[0].town)}</h3>
+        <ul class="map-popover-list">${items}</ul>
+    `;
+}
+
+/**
+ * Show the summary popover beside a pin, flipping it below or sideways near the map edges
+ */
+function openMapPopover(pin) {
+    const popover = $('#map-popover');
+    const businesses = pin.dataset.ids.split(',').map(getBusinessById).filter(Boolean);
+    const left = parseFloat(pin.style.left);
+    const top = parseFloat(pin.style.top);
+
+    closeMapPopover();
+    popover.innerHTML = renderMapPopover(businesses);
+    popover.style.left = pin.style.left;
+    popover.style.top = pin.style.top;
+    popover.classList.toggle('map-popover--below', top < 40);
+    popover.classList.toggle('map-popover--start', left < 25);
+    popover.classList.toggle('map-popover--end', left > 75);
+    popover.hidden = false;
+
+    pin.setAttribute('aria-expanded', 'true');
+    openMapPin = pin;
+    popover.focus();
+}
+
+function closeMapPopover({ restoreFocus = false } = {}) {
+    const popover = $('#map-popover');
+    if (!popover || !openMapPin) return;
+
+    const pin = openMapPin;
+    popover.hidden = true;
+    pin.setAttribute('aria-expanded', 'false');
+    openMapPin = null;
+
+    if (restoreFocus) pin.focus();
+}
+
+function handleMapClick(e) {
+    const pin = e.target.closest('.map-pin');
+    if (pin) {
+        if (pin === openMapPin) {
+            closeMapPopover();
+        } else {
+            openMapPopover(pin);
+        }
+        return;
+    }
+
+    if (e.target.closest('.map-popover-close')) {
+        closeMapPopover({ restoreFocus: true });
+        return;
+    }
+
+    if (e.target.closest('.contact-btn')) {
+        const business = getBusinessById(e.target.closest('[data-id]').dataset.id);
+        closeMapPopover();
+        if (business) openContactModal(business);
+        return;
+    }
+
+    if (!e.target.closest('.map-popover')) {
+        closeMapPopover();
+    }
+}
+
+function handleMapKeydown(e) {
+    if (e.key === 'Escape' && openMapPin) {
+        closeMapPopover({ restoreFocus: true });
+    }
+}
+
+/**
+ * Switch the results between the card grid and the map
+ */
+function handleLayoutToggle(e) {
+    const layout = e.currentTarget.dataset.layout;
+    if (layout === state.layout) return;
+
+    state.layout = layout;
+    syncLayoutToggle();
+    applyFilters();
+}
+
+function syncLayoutToggle() {
+    elements.layoutButtons.forEach(btn => {
+        btn.setAttribute('aria-pressed', btn.dataset.layout === state.layout ? 'true' : 'false');
+    });
+}
+
+// ========================================
+// Filter Logic
+// ========================================
+
+/**
+ * Check a business against the non-search filters (the active ones by default)
+ */
+function matchesFilters(business, filters = state.filters) {
+    const { category, town, tags, ownership, exclude } = filters;
+    const flags = getBusinessFlags(business);
+
+    // Category filter
+    if (category && business.category !== category) return false;
+
+    // Town filter
+    if (town && foldText(business.town) !== foldText(town)) return false;
+
+    // Ownership filters (OR logic)
+    if (ownership.size > 0) {
+        if (![...ownership].some(filter => flags.includes(filter))) return false;
+    }
+
+    // Tag filters (AND logic)
+    if (tags.size > 0) {
+        if (![...tags].every(tag => business.tags.includes(tag))) return false;
+    }
+
+    // Saved favorites and shared lists
+    if (filters.saved && !state.favorites.has(business.id)) return false;
+    if (filters.list.size > 0 && !filters.list.has(business.id)) return false;
+
+    // Average rating
+    if (filters.minRating && getRatingSummary(business).average < filters.minRating) return false;
+
+    // Opening hours
+    if (filters.open) {
+        const at = filters.open.now ? getZonedTime() : resolveOpenAt(filters.open);
+        if (!isOpenAt(business.hours, at)) return false;
+    }
+
+    // Radius around the chosen place or location
+    if (filters.radius && filters.near && Number.isFinite(filters.near.lat)) {
+        const distance = getBusinessDistance(business, filters.near);
+        if (distance === null || distance > filters.radius) return false;
+    }
+
+    // Exclusions from the query language
+    if (exclude.category.has(business.category)) return false;
+    if ([...exclude.town].some(t => foldText(t) === foldText(business.town))) return false;
+    if (business.tags.some(tag => exclude.tags.has(tag))) return false;
+    if (flags.some(flag => exclude.ownership.has(flag))) return false;
+    if ([...exclude.terms].some(term => findBusinessesWithTerm(term).has(business.id))) return false;
+
+    return true;
+}
+
+function hasActiveFilters() {
+    const { search, category, town, tags, ownership, saved, list, near, open, minRating, exclude } = state.filters;
+    return Boolean(search || category || town || tags.size || ownership.size || saved || list.size || near || open || minRating) ||
+        Object.values(exclude).some(set => set.size > 0);
+}
+
+/**
+ * Apply all active filters and update display.
+ * Pass { updateHistory: false } when the filters came from the URL, and
+ * { typing: true } while a search is still being typed.
+ */
+function applyFilters({ updateHistory = true, typing = false } = {}) {
+    if (state.sort === 'distance' && !getDistanceOrigin()) {
+        state.sort = 'relevance';
+        elements.sortSelect.value = state.sort;
+    }
+
+    if (updateHistory) pushFilterState({ typing });
+
+    const searchResults = state.filters.search ? searchBusinesses(state.filters.search) : null;
+    const candidates = searchResults
+        ? state.businesses.filter(business => searchResults.has(business.id))
+        : state.businesses;
+    const results = candidates.filter(business => matchesFilters(business));
+    const total = results.length;
+
+    currentResults = { businesses: sortBusinesses(results, searchResults), searchResults };
+    state.pagesShown = 1;
+    renderResultsPage();
+
+    elements.resultsCount.textContent = total;
+    elements.noResults.hidden = total > 0;
+    elements.listingsGrid.hidden = total === 0 || state.layout === 'map';
+    elements.listingsMap.hidden = total === 0 || state.layout !== 'map';
+
+    updateActiveFiltersDisplay();
+    updateFacetCounts(computeFacetCounts(candidates, results));
+    updateSavedBar();
+
+    const shown = Math.min(total, config.pageSize);
+    announceToScreenReader(total > config.pageSize
+        ? `${total} businesses found, showing ${describeRange(1, shown, total)}`
+        : `${total} businesses found`);
+}
+
+/**
+ * Load the directory data and render the initial listings
+ */
+async function loadDirectory() {
+    elements.loadError.hidden = true;
+    elements.listingsGrid.setAttribute('aria-busy', 'true');
+
+    try {
+        const [businesses, places] = await Promise.all([loadBusinesses(), loadGazetteer()]);
+        state.businesses = applyModeration(businesses);
+        gazetteer = places;
+        applySchedules();
+        resolveNearFilter();
+        syncNearControls();
+        renderPlaceOptions();
+        searchIndex = buildSearchIndex(state.businesses);
+        claimIndex = buildSearchIndex(state.businesses, CLAIM_SEARCH_WEIGHTS);
+        updateDirectoryStats();
+        applyFilters({ updateHistory: false });
+        handleRouteChange();
+    } catch (error) {
+        console.error('Unable to load listings:', error);
+        elements.listingsGrid.hidden = true;
+        elements.listingsMap.hidden = true;
+        elements.noResults.hidden = true;
+        elements.loadError.hidden = false;
+    } finally {
+        elements.listingsGrid.setAttribute('aria-busy', 'false');
+    }
+}
+
+/**
+ * Update the active filters tag display
+ */
+function updateActiveFiltersDisplay() {
+    const { search, category, town, tags, ownership, saved, list, near, radius, open, minRating, exclude } = state.filters;
+    const hasFilters = hasActiveFilters();
+    
+    elements.activeFiltersContainer.hidden = !hasFilters;
+    
+    if (!hasFilters) return;
+
+    let html = '';
+
+    if (search) {
+        html += createFilterTag('search', `Search: "${search}"`);
+    }
+
+    if (category) {
+        html += createFilterTag('category', CATEGORY_LABELS[category]);
+    }
+
+    ownership.forEach(filter => {
+        html += createFilterTag(`ownership-${filter}`, OWNERSHIP_LABELS[filter]);
+    });
+
+    if (minRating) {
+        html += createFilterTag('rating', `${minRating}+ stars`);
+    }
+
+    tags.forEach(tag => {
+        html += createFilterTag(`tag-${tag}`, tag);
+    });
+
+    if (town) {
+        html += createFilterTag('town', `Town: ${town}`);
+    }
+
+    if (near) {
+        html += createFilterTag('near', `Near: ${near.label}`);
+    }
+
+    if (near && radius) {
+        html += createFilterTag('radius', `Within ${radius} mi`);
+    }
+
+    if (open) {
+        html += createFilterTag('open', describeOpenFilter(open));
+    }
+
+    if (saved) {
+        html += createFilterTag('saved', 'Saved businesses');
+    }
+
+    if (list.size > 0) {
+        html += createFilterTag('list', `Shared list (${list.size})`);
+    }
+
+    exclude.category.forEach(value => {
+        html += createFilterTag(`exclude-category-${value}`, `Not: ${CATEGORY_LABELS[value]}`);
+    });
+
+    exclude.ownership.forEach(value => {
+        html += createFilterTag(`exclude-ownership-${value}`, `Not: ${OWNERSHIP_LABELS[value]}`);
+    });
+
+    exclude.tags.forEach(value => {
+        html += createFilterTag(`exclude-tags-${value}`, `Not tag: ${value}`);
+    });
+
+    exclude.town.forEach(value => {
+        html += createFilterTag(`exclude-town-${value}`, `Not in: ${value}`);
+    });
+
+    exclude.terms.forEach(value => {
+        html += createFilterTag(`exclude-terms-${value}`, `Excluding: "${value}"`);
+    });
+
+    html += '<button type="button" class="clear-all-filters" id="clear-all">Clear all</button>';
+
+    elements.activeFiltersContainer.innerHTML = html;
+
+    // Add event listeners
+    elements.activeFiltersContainer.querySelectorAll('.remove-filter').forEach(btn => {
+        btn.addEventListener('click', handleRemoveFilter);
+    });
+
+    $('#clear-all')?.addEventListener('click', clearAllFilters);
+}
+
+/**
+ * Create a filter tag HTML string
+ */
+function createFilterTag(id, label) {
+    const safeLabel = escapeHTML(label);
+
+    return `
+        <span class="active-filter-tag">
+            ${safeLabel}
+            <button type="button" class="remove-filter" data-filter="${escapeHTML(id)}" aria-label="Remove ${safeLabel} filter">
+                <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                    <line x1="18" y1="6" x2="6" y2="18"></line>
+                    <line x1="6" y1="6" x2="18" y2="18"></line>
+                </svg>
+            </button>
+        </span>
+    `;
+}
+
+/**
+ * Handle removing a single filter
+ */
+function handleRemoveFilter(e) {
+    const filterId = e.currentTarget.dataset.filter;
+
+    if (filterId === 'search') {
+        state.filters.search = '';
+        elements.searchInput.value = '';
+    } else if (filterId === 'category') {
+        state.filters.category = '';
+        elements.categorySelect.value = '';
+        updateCategorySidebar('');
+    } else if (filterId.startsWith('ownership-')) {
+        const ownership = filterId.replace('ownership-', '');
+        state.filters.ownership.delete(ownership);
+        updateFilterPill(ownership, false);
+    } else if (filterId.startsWith('tag-')) {
+        const tag = filterId.replace('tag-', '');
+        state.filters.tags.delete(tag);
+        updateTagButton(tag, false);
+    } else if (filterId === 'town') {
+        state.filters.town = '';
+    } else if (filterId === 'near') {
+        state.filters.near = null;
+        state.filters.radius = null;
+        syncNearControls();
+    } else if (filterId === 'radius') {
+        state.filters.radius = null;
+        syncNearControls();
+    } else if (filterId === 'rating') {
+        state.filters.minRating = null;
+        elements.ratingBtn.setAttribute('aria-pressed', 'false');
+    } else if (filterId === 'open') {
+        state.filters.open = null;
+        syncOpenControls();
+    } else if (filterId === 'saved') {
+        state.filters.saved = false;
+    } else if (filterId === 'list') {
+        state.filters.list.clear();
+    } else if (filterId.startsWith('exclude-')) {
+        const [, field, ...value] = filterId.split('-');
+        state.filters.exclude[field].delete(value.join('-'));
+    }
+
+    applyFilters();
+}
+
+/**
+ * Clear all filters
+ */
+function clearAllFilters() {
+    state.filters = createEmptyFilters();
+
+    syncFilterControls();
+    showSearchFeedback([]);
+    showNearFeedback('');
+    applyFilters();
+}
+
+/**
+ * Reflect state.filters in the search box, pills, select, sidebar and tags
+ */
+function syncFilterControls() {
+    const { search, category, tags, ownership } = state.filters;
+
+    elements.searchInput.value = search;
+    elements.categorySelect.value = category;
+    elements.sortSelect.value = state.sort;
+    updateCategorySidebar(category);
+
+    elements.filterPills.forEach(pill => {
+        pill.setAttribute('aria-pressed', ownership.has(pill.dataset.filter) ? 'true' : 'false');
+    });
+
+    elements.tagButtons.forEach(btn => {
+        btn.classList.toggle('active', tags.has(btn.dataset.tag));
+    });
+
+    elements.savedBtn.setAttribute('aria-pressed', state.filters.saved ? 'true' : 'false');
+    elements.ratingBtn.setAttribute('aria-pressed', state.filters.minRating ? 'true' : 'false');
+    syncNearControls();
+    syncOpenControls();
+    syncLayoutToggle();
+}
+
+/**
+ * Reflect the open filter in the "Open now" switch and "Open at" picker
+ */
+function syncOpenControls() {
+    const { open } = state.filters;
+
+    elements.openNowBtn.setAttribute('aria-pressed', open && open.now ? 'true' : 'false');
+    elements.openDay.value = open && open.day ? open.day : '';
+    elements.openTime.disabled = !(open && open.day);
+    if (open && open.time) elements.openTime.value = open.time;
+}
+
+/**
+ * Update filter pill state
+ */
+function updateFilterPill(filter, active) {
+    const pill = $(`.filter-pill[data-filter="${filter}"]`);
+    if (pill) {
+        pill.setAttribute('aria-pressed', active ? 'true' : 'false');
+    }
+}
+
+/**
+ * Update tag button state
+ */
+function updateTagButton(tag, active) {
+    const btn = $(`.tag[data-tag="${tag}"]`);
+    if (btn) {
+        btn.classList.toggle('active', active);
+    }
+}
+
+/**
+ * Update category sidebar active state
+ */
+function updateCategorySidebar(category) {
+    elements.categoryItems.forEach(item => {
+        const itemCategory = item.dataset.category || '';
+        item.classList.toggle('active', itemCategory === category);
+    });
+}
+
+// ========================================
+// Facet Counts
+// ========================================
+
+/**
+ * Count how many results each category, ownership and tag option would give.
+ * Categories are single-select and ownership is OR, so each is counted with
+ * its own filter lifted; tags are AND, so they are counted within the results.
+ */
+function computeFacetCounts(candidates, results) {
+    const categoryBase = candidates.filter(business =>
+        matchesFilters(business, { ...state.filters, category: '' })
+    );
+    const ownershipBase = candidates.filter(business =>
+        matchesFilters(business, { ...state.filters, ownership: new Set() })
+    );
+
+    const categories = { '': categoryBase.length };
+    categoryBase.forEach(business => {
+        categories[business.category] = (categories[business.category] || 0) + 1;
+    });
+
+    const ownership = {};
+    Object.keys(OWNERSHIP_LABELS).forEach(filter => {
+        ownership[filter] = ownershipBase.filter(business => getBusinessFlags(business).includes(filter)).length;
+    });
+
+    const tags = {};
+    results.forEach(business => {
+        business.tags.forEach(tag => {
+            tags[tag] = (tags[tag] || 0) + 1;
+        });
+    });
+
+    return { categories, ownership, tags };
+}
+
+/**
+ * Write a count into a facet control and disable it if choosing it would leave nothing
+ */
+function setFacetState(control, countEl, count, isActive) {
+    const isEmpty = count === 0 && !isActive;
+
+    countEl.innerHTML = `${count}<span class="visually-hidden"> businesses</span>`;
+    control.classList.toggle('is-disabled', isEmpty);
+
+    if (isEmpty) {
+        control.setAttribute('aria-disabled', 'true');
+    } else {
+        control.removeAttribute('aria-disabled');
+    }
+}
+
+function updateFacetCounts({ categories, ownership, tags }) {
+    const { filters } = state;
+
+    elements.categoryItems.forEach(item => {
+        const category = item.dataset.category || '';
+        setFacetState(item, item.querySelector('.category-count'), categories[category] || 0, filters.category === category);
+    });
+
+    [...elements.categorySelect.options].forEach(option => {
+        const count = categories[option.value] || 0;
+        const label = option.value ? CATEGORY_LABELS[option.value] : 'All Categories';
+        option.textContent = `${label} (${count})`;
+        option.disabled = count === 0 && filters.category !== option.value;
+    });
+
+    elements.filterPills.forEach(pill => {
+        const filter = pill.dataset.filter;
+        setFacetState(pill, pill.querySelector('.facet-count'), ownership[filter] || 0, filters.ownership.has(filter));
+    });
+
+    elements.tagButtons.forEach(btn => {
+        const tag = btn.dataset.tag;
+        setFacetState(btn, btn.querySelector('.facet-count'), tags[tag] || 0, filters.tags.has(tag));
+    });
+}
+
+function isFacetDisabled(control) {
+    return control.getAttribute('aria-disabled') === 'true';
+}
+
+// ========================================
+// Favorites
+// ========================================
+
+function loadFavorites() {
+    const ids = readStorage('favorites', []);
+    state.favorites = new Set(Array.isArray(ids) ? ids : []);
+}
+
+function saveFavorites() {
+    writeStorage('favorites', [...state.favorites]);
+    updateSavedCount();
+}
+
+function updateSavedCount() {
+    const count = state.favorites.size;
+
+    elements.savedCount.textContent = count || '';
+    elements.savedBtn.setAttribute('aria-label', `Saved listings (${count})`);
+}
+
+/**
+ * Link that opens exactly the given set of businesses for anyone
+ */
+function getShareListURL(ids) {
+    const url = new URL(window.location.pathname, window.location.origin);
+    url.search = `?list=${[...ids].map(encodeURIComponent).join(',')}`;
+    return url.toString();
+}
+
+/**
+ * Show the saved/shared list bar when one of those views is active
+ */
+function updateSavedBar() {
+    const { saved, list } = state.filters;
+
+    elements.savedBar.hidden = !saved && list.size === 0;
+    elements.keepSharedBtn.hidden = list.size === 0;
+    elements.shareSavedBtn.hidden = !saved;
+
+    if (saved) {
+        const count = state.favorites.size;
+        elements.savedBarText.textContent = count === 0
+            ? 'You haven\'t saved any businesses yet. Tap the heart on a listing to save it.'
+            : `You have ${count} saved ${count === 1 ? 'business' : 'businesses'}.`;
+    } else if (list.size > 0) {
+        elements.savedBarText.textContent = `Someone shared a list of ${list.size} ${list.size === 1 ? 'business' : 'businesses'} with you.`;
+    }
+}
+
+function handleSavedViewToggle() {
+    state.filters.saved = !state.filters.saved;
+    state.filters.list.clear();
+    syncFilterControls();
+    applyFilters();
+}
+
+/**
+ * Share the saved list with the native share sheet, or copy the link
+ */
+async function handleShareSaved() {
+    if (state.favorites.size === 0) {
+        announceToScreenReader('Save a business before sharing your list');
+        return;
+    }
+
+    const url = getShareListURL(state.favorites);
+
+    try {
+        if (navigator.share) {
+            await navigator.share({ title: 'My saved businesses — Rocky Top Directory', url });
+            return;
+        }
+        await navigator.clipboard.writeText(url);
+        announceToScreenReader('Share link copied to clipboard');
+        elements.savedBarText.textContent = 'Share link copied to clipboard.';
+    } catch (error) {
+        if (error.name === 'AbortError') return;
+        window.prompt('Copy this link to share your saved businesses:', url);
+    }
+}
+
+/**
+ * Add every business in a shared list to the visitor's own favorites
+ */
+function handleKeepShared() {
+    state.filters.list.forEach(id => {
+        if (getBusinessById(id)) state.favorites.add(id);
+    });
+    saveFavorites();
+
+    state.filters.list.clear();
+    state.filters.saved = true;
+    syncFilterControls();
+    applyFilters();
+    announceToScreenReader('Shared businesses added to your saved list');
+}
+
+// ========================================
+// URL State
+// ========================================
+
+/**
+ * Serialize the active filters into a query string,
+ * e.g. ?q=bakery&category=food&tags=delivery&owner=women
+ */
+function serializeFilters(filters = state.filters, sort = state.sort, layout = state.layout) {
+    const params = new URLSearchParams();
+
+    if (filters.search) params.set('q', filters.search);
+    if (filters.category) params.set('category', filters.category);
+    if (filters.tags.size > 0) params.set('tags', [...filters.tags].join(','));
+    if (filters.ownership.size > 0) params.set('owner', [...filters.ownership].join(','));
+    if (filters.town) params.set('town', filters.town);
+    if (filters.saved) params.set('saved', '1');
+    if (filters.list.size > 0) params.set('list', [...filters.list].join(','));
+    if (filters.near) params.set('near', filters.near.query);
+    if (filters.near && filters.radius) params.set('radius', filters.radius);
+    if (filters.minRating) params.set('rating', filters.minRating);
+    if (filters.open) params.set('open', filters.open.now ? 'now' : `${filters.open.day}-${filters.open.time}`);
+
+    const exclusions = serializeExclusions(filters.exclude);
+    if (exclusions.length > 0) params.set('exclude', exclusions.join(','));
+
+    if (sort !== 'relevance') params.set('sort', sort);
+    if (layout === 'map') params.set('view', 'map');
+
+    // Commas and colons are legal in a query string; keep list values readable
+    const query = params.toString().replace(/%2C/g, ',').replace(/%3A/g, ':');
+    return query ? `?${query}` : '';
+}
+
+/**
+ * Exclusions use the query-language clause syntax, e.g. exclude=category:food,tag:delivery
+ */
+function serializeExclusions(exclude) {
+    const qualifiers = { category: 'category', town: 'town', tags: 'tag', ownership: 'owner' };
+    const clauses = [];
+
+    Object.entries(qualifiers).forEach(([field, qualifier]) => {
+        exclude[field].forEach(value => clauses.push(`${qualifier}:${value}`));
+    });
+    exclude.terms.forEach(term => clauses.push(term));
+
+    return clauses;
+}
+
+/**
+ * Read filters from a query string, ignoring unknown categories and owners
+ */
+function parseFilterParams(queryString) {
+    const params = new URLSearchParams(queryString);
+    const splitList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+    const category = params.get('category') || '';
+    const filters = createEmptyFilters();
+    const fields = { category: 'category', town: 'town', tag: 'tags', owner: 'ownership' };
+
+    filters.search = params.get('q') || '';
+    filters.category = CATEGORY_LABELS[category] ? category : '';
+    filters.town = params.get('town') || '';
+    filters.tags = new Set(splitList(params.get('tags')));
+    filters.ownership = new Set(splitList(params.get('owner')).filter(owner => OWNERSHIP_LABELS[owner]));
+    filters.saved = params.get('saved') === '1';
+    filters.list = new Set(splitList(params.get('list')));
+    filters.minRating = Number(params.get('rating')) === MIN_RATING_FILTER ? MIN_RATING_FILTER : null;
+
+    const near = (params.get('near') || '').trim();
+    const radius = Number(params.get('radius'));
+    if (near) {
+        filters.near = { kind: near === 'me' ? 'device' : 'place', query: near, label: near };
+        filters.radius = NEAR_RADIUS_MILES.includes(radius) ? radius : null;
+        resolveNearFilter(filters);
+    }
+
+    const open = params.get('open') || '';
+    const [day, time] = open.split('-');
+    if (open === 'now') {
+        filters.open = { now: true };
+    } else if (WEEK_DAYS.some(({ key }) => key === day) && /^([01]\d|2[0-3]):[0-5]\d$/.test(time)) {
+        filters.open = { day, time };
+    }
+
+    splitList(params.get('exclude')).forEach(clause => {
+        const separator = clause.indexOf(':');
+        const field = fields[clause.slice(0, separator)];
+
+        if (separator === -1) {
+            filters.exclude.terms.add(foldText(clause));
+        } else if (field) {
+            filters.exclude[field].add(clause.slice(separator + 1));
+        }
+    });
+
+    return filters;
+}
+
+/**
+ * The entry a search being typed replaced, as { url, state, typedURL },
+ * so it can be put back before the finished search gets its own entry
+ */
+let searchTyping = null;
+
+function getCurrentURL() {
+    return `${window.location.pathname}${window.location.search}${window.location.hash}`;
+}
+
+/**
+ * Push a history entry when the filters differ from the current URL.
+ * While typing the entry is replaced instead, so each keystroke doesn't
+ * add a step to Back; submitting or any other filter change pushes.
+ */
+function pushFilterState({ typing = false } = {}) {
+    const query = serializeFilters();
+    const hash = parseRoute().name === 'directory' ? window.location.hash : '';
+    const url = `${window.location.pathname}${query}${hash}`;
+
+    if (typing) {
+        if (query === window.location.search) return;
+        if (searchTyping?.typedURL !== getCurrentURL()) {
+            searchTyping = { url: getCurrentURL(), state: history.state };
+        }
+        history.replaceState({ filters: query }, '', url);
+        searchTyping.typedURL = getCurrentURL();
+        return;
+    }
+
+    if (searchTyping?.typedURL === getCurrentURL()) {
+        history.replaceState(searchTyping.state, '', searchTyping.url);
+    }
+    searchTyping = null;
+
+    if (query === window.location.search) return;
+    history.pushState({ filters: query }, '', url);
+}
+
+/**
+ * Load filters from the current URL into state and the filter controls
+ */
+function restoreFiltersFromURL() {
+    state.filters = parseFilterParams(window.location.search);
+    state.sort = parseSortParam(window.location.search);
+    state.layout = new URLSearchParams(window.location.search).get('view') === 'map' ? 'map' : 'list';
+    syncFilterControls();
+}
+
+/**
+ * Distance sorting needs a location, so it falls back to relevance until one
+ * is known. A place from the URL counts, as the gazetteer may still be loading.
+ */
+function parseSortParam(queryString) {
+    const sort = new URLSearchParams(queryString).get('sort');
+    if (!SORT_LABELS[sort]) return 'relevance';
+    return sort === 'distance' && !state.userLocation && !state.filters.near ? 'relevance' : sort;
+}
+
+function handlePopState() {
+    restoreFiltersFromURL();
+    applyFilters({ updateHistory: false });
+}
+
+/**
+ * Footer deep links (e.g. ?owner=women) filter in place instead of reloading
+ */
+function handleFilterLinkClick(e) {
+    e.preventDefault();
+
+    const link = e.currentTarget;
+    state.filters = parseFilterParams(new URL(link.href).search);
+    syncFilterControls();
+    applyFilters();
+    handleRouteChange();
+
+    $('#main-content').scrollIntoView({ behavior: 'smooth' });
+}
+
+// ========================================
+// Routing
+// ========================================
+
+/**
+ * Hash routes for views other than the directory, e.g. #/business/<id>.
+ * Filters stay in the query string, so both survive a refresh.
+ */
+const ROUTES = [
+    { name: 'business', pattern: /^#\/business\/([^/]+)$/, render: showBusinessDetail },
+    { name: 'owner', pattern: /^#\/owner\/([^/]+)$/, render: showOwnerDashboard },
+    { name: 'owner-leads', pattern: /^#\/owner\/([^/]+)\/leads$/, render: showLeadInbox },
+    { name: 'owner-stats', pattern: /^#\/owner\/([^/]+)\/stats$/, render: showOwnerStats },
+    { name: 'admin', pattern: /^#\/admin$/, render: requireModerator(showModerationQueue) },
+    { name: 'admin-audit', pattern: /^#\/admin\/audit$/, render: requireModerator(showAuditLog) },
+    { name: 'admin-analytics', pattern: /^#\/admin\/analytics$/, render: requireModerator(showAnalyticsDashboard) },
+    { name: 'admin-data', pattern: /^#\/admin\/data$/, render: requireModerator(showImportExport) }
+];
+
+/** Pre-rendered pages have their own title, so they carry the directory's */
+const DEFAULT_TITLE = document.body.dataset.directoryTitle || document.title;
+
+/**
+ * Replaced on every route change. Views that load data asynchronously
+ * check it's still theirs before drawing, so a slow load can't draw over
+ * the view the visitor moved on to.
+ */
+let currentRoute = { name: 'directory', params: [] };
+let directoryScrollY = 0;
+/** Grid (featured or results) whose card opened the current detail page */
+let detailOpenedFrom = null;
+let routeHistoryDepth = 0;
+
+function parseRoute(hash = window.location.hash) {
+    for (const route of ROUTES) {
+        const match = hash.match(route.pattern);
+        if (match) {
+            return { name: route.name, params: match.slice(1).map(decodeURIComponent) };
+        }
+    }
+    return { name: 'directory', params: [] };
+}
+
+/**
+ * Show the sections belonging to one view (data-view) and hide the rest
+ */
+function showView(name) {
+    $$('[data-view]').forEach(section => {
+        section.hidden = section.dataset.view !== name;
+    });
+}
+
+/**
+ * Render whichever view the current hash points at. Leaving the
+ * directory remembers the scroll position; returning restores it and
+ * puts focus back on the card that was opened.
+ */
+function handleRouteChange() {
+    const previous = currentRoute;
+    const route = parseRoute();
+    currentRoute = route;
+
+    if (route.name === 'directory') {
+        if (previous.name === 'directory') return;
+
+        showView('directory');
+        document.title = DEFAULT_TITLE;
+        window.scrollTo(0, directoryScrollY);
+
+        const openedId = previous.name === 'business' ? previous.params[0] : null;
+        if (state.layout === 'map') {
+            renderMap().then(() => findMapPin(openedId)?.focus());
+            return;
+        }
+
+        renderResultsPage();
+        const card = [detailOpenedFrom, elements.listingsGrid]
+            .filter(Boolean)
+            .map(grid => [...grid.children].find(item => item.dataset.id === openedId))
+            .find(Boolean);
+        card?.querySelector('.details-link').focus();
+        return;
+    }
+
+    if (previous.name === 'directory') {
+        directoryScrollY = window.scrollY;
+    }
+
+    ROUTES.find(({ name }) => name === route.name).render(...route.params);
+}
+
+function handleHashChange() {
+    routeHistoryDepth = currentRoute.name === 'directory' ? 1 : routeHistoryDepth + 1;
+    handleRouteChange();
+}
+
+/**
+ * Return to the directory, going back in history when we came from it
+ * so the back button doesn't bounce between views
+ */
+function navigateToDirectory() {
+    if (routeHistoryDepth === 1) {
+        history.back();
+        return;
+    }
+
+    history.pushState(null, '', `${window.location.pathname}${window.location.search}`);
+    handleRouteChange();
+}
+
+// ========================================
+// Business Detail
+// ========================================
+
+function showBusinessDetail(id) {
+    const business = getBusinessById(id);
+    if (business) trackEvent('business-view', { businessId: business.id });
+
+    elements.businessDetail.innerHTML = business ? renderBusinessDetail(business) : renderBusinessNotFound();
+    document.title = business ? `${business.name} | Rocky Top Business Directory` : `Business not found | Rocky Top Business Directory`;
+
+    showView('business');
+    window.scrollTo(0, 0);
+    $('#detail-title').focus();
+}
+
+function handleDetailClick(e) {
+    if (e.target.closest('[data-action="back"]')) {
+        e.preventDefault();
+        navigateToDirectory();
+        return;
+    }
+
+    // Error summary links point at field ids, which would otherwise change the route
+    if (e.target.closest('.form-error-summary')) {
+        handleErrorSummaryClick(e);
+        return;
+    }
+
+    const card = e.target.closest('.detail-card');
+    const business = card && getBusinessById(card.dataset.id);
+    if (!business) return;
+
+    const favoriteBtn = e.target.closest('.detail-favorite');
+    if (favoriteBtn) {
+        handleFavoriteClick(favoriteBtn, business);
+        return;
+    }
+
+    if (e.target.closest('.contact-btn')) {
+        openContactModal(business);
+        return;
+    }
+
+    const replyBtn = e.target.closest('.review-reply-btn');
+    const reportBtn = e.target.closest('.review-report-btn');
+    if (replyBtn) {
+        handleReplyClick(replyBtn);
+    } else if (e.target.closest('[data-action="cancel-reply"]')) {
+        handleReplyCancel(e.target.closest('[data-action="cancel-reply"]'));
+    } else if (reportBtn) {
+        handleReportClick(reportBtn);
+    } else if (e.target.closest('[data-action="cancel-report"]')) {
+        handleReportCancel(e.target.closest('[data-action="cancel-report"]'));
+    }
+}
+
+// ========================================
+// Reviews
+// ========================================
+
+/** The "4+ stars" filter */
+const MIN_RATING_FILTER = 4;
+
+const REVIEW_RULES = {
+    'review-name': value => {
+        if (!value) return 'Enter the name to show with your review.';
+        return checkLength(value, { min: 2, max: 60, label: 'Name' });
+    },
+    'review-email': value => {
+        if (!value) return 'Enter your email address.';
+        if (!EMAIL_PATTERN.test(value)) return 'Enter an email address like name@example.com.';
+        return null;
+    },
+    'review-text': value => {
+        if (!value) return 'Tell others about your experience.';
+        return checkLength(value, { min: 20, max: 1000, label: 'Review' });
+    }
+};
+
+/** Reasons a visitor can give when reporting a review */
+const REVIEW_REPORT_REASONS = {
+    spam: 'Spam or advertising',
+    abusive: 'Offensive or abusive',
+    'not-genuine': 'Not based on a real visit',
+    conflict: 'Written by the owner or a competitor'
+};
+
+/** Reviews written in this browser, one per business id */
+let localReviews = {};
+/** Owner replies posted from this browser, by review id */
+let localReplies = {};
+/** Ids of reviews reported from this browser */
+let reportedReviews = [];
+
+function loadReviews() {
+    const reviews = readStorage('reviews', {});
+    const replies = readStorage('review-replies', {});
+    const reported = readStorage('reported-reviews', []);
+    localReviews = reviews && typeof reviews === 'object' ? reviews : {};
+    localReplies = replies && typeof replies === 'object' ? replies : {};
+    reportedReviews = Array.isArray(reported) ? reported : [];
+}
+
+/**
+ * Published reviews plus the one written here, newest first, with owner
+ * replies applied and any a moderator has taken down left out
+ */
+function getReviews(business) {
+    const own = localReviews[business.id];
+    const reviews = own
+        ? [own, ...business.reviews.filter(review => review.id !== own.id)]
+        : business.reviews;
+
+    return reviews
+        .filter(review => !moderatedListings.hiddenReviews.includes(review.id))
+        .map(review => localReplies[review.id] ? { ...review, reply: localReplies[review.id] } : review)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Only published reviews count; one written here waits for a moderator
+ */
+function getRatingSummary(business) {
+    const reviews = business.reviews.filter(review => !moderatedListings.hiddenReviews.includes(review.id));
+    const total = reviews.reduce((sum, review) => sum + review.rating, 0);
+    return { count: reviews.length, average: reviews.length > 0 ? total / reviews.length : 0 };
+}
+
+/**
+ * Reviewers are matched by a salted SHA-256 of their lowercased email.
+ * The address isn't kept, but the key isn't anonymous: anyone who guesses
+ * an address can hash it and compare. Needs a secure (https) page.
+ */
+async function getReviewerKey(email) {
+    const bytes = new TextEncoder().encode(`${config.reviewerKeySalt}:${email.toLowerCase()}`);
+    const digest = await window.crypto.subtle.digest('SHA-256', bytes);
+    return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Another review of the listing from the same email, published or still
+ * in the queue. Each person gets one review per business.
+ */
+async function findRepeatReview(business, review) {
+    const isRepeat = other => other.reviewerKey === review.reviewerKey && other.id !== review.id;
+    const published = business.reviews.find(isRepeat);
+    if (published) return published;
+
+    let items = [];
+    try {
+        items = await getReviewQueue();
+    } catch (error) {
+        console.warn('Review queue unavailable; checked published reviews only:', error);
+    }
+
+    const queued = items.find(item =>
+        item.type === 'review' &&
+        item.status !== 'rejected' &&
+        item.payload.businessId === business.id &&
+        isRepeat(item.payload.review)
+    );
+    return queued?.payload.review || null;
+}
+
+/**
+ * A review written here that a moderator hasn't published yet, in this version
+ */
+function isPendingReview(review, business) {
+    return localReviews[business.id]?.id === review.id &&
+        !business.reviews.some(published => published.id === review.id && published.createdAt === review.createdAt);
+}
+
+/**
+ * Owners of a listing claimed in this browser can reply to its reviews
+ */
+function isListingOwner(business) {
+    return state.claims[business.id]?.status === 'claimed';
+}
+
+function renderStars(rating) {
+    return `<span class="stars" style="--rating: ${rating.toFixed(2)}" aria-hidden="true"></span>`;
+}
+
+function describeRating(average, count) {
+    return `Rated ${average.toFixed(1)} out of 5 from ${count} ${count === 1 ? 'review' : 'reviews'}`;
+}
+
+function renderCardRating(business) {
+    const { average, count } = getRatingSummary(business);
+    if (count === 0) return '';
+
+    return `
+        <p class="card-rating">
+            ${renderStars(average)}
+            <span aria-hidden="true"><strong>${average.toFixed(1)}</strong> (${count})</span>
+            <span class="visually-hidden">${describeRating(average, count)}</span>
+        </p>
+    `;
+}
+
+function formatLongDate(isoDate) {
+    return new Date(`${isoDate.slice(0, 10)}T12:00:00Z`).toLocaleDateString('en-US', { timeZone: 'UTC', month: 'long', day: 'numeric', year: 'numeric' });
+}
+
+function renderReview(review, business) {
+    const isOwn = localReviews[business.id]?.id === review.id;
+    let reply = '';
+
+    if (review.reply) {
+        reply = `
+            <div class="review-reply">
+                <p class="review-reply-title">Response from the owner <time datetime="${escapeHTML(review.reply.createdAt)}">${formatLongDate(review.reply.createdAt)}</time></p>
+                <p>${escapeHTML(review.reply.text)}</p>
+            </div>
+        `;
+    } else if (isListingOwner(business)) {
+        reply = `<button type="button" class="review-reply-btn" aria-expanded="false">Reply publicly</button>`;
+    }
+
+    let report = '';
+    if (reportedReviews.includes(review.id)) {
+        report = '<p class="review-reported">Reported to our moderators</p>';
+    } else if (!isOwn) {
+        report = '<button type="button" class="review-report-btn" aria-expanded="false">Report</button>';
+    }
+
+    return `
+        <li class="review" data-review-id="${escapeHTML(review.id)}">
+            <div class="review-header">
+                <span class="review-author">${escapeHTML(review.author)}</span>
+                ${isOwn ? `<span class="review-own">${isPendingReview(review, business) ? 'Your review, awaiting approval' : 'Your review'}</span>` : ''}
+                ${renderStars(review.rating)}
+                <span class="visually-hidden">${review.rating} out of 5 stars</span>
+                <time class="review-date" datetime="${escapeHTML(review.createdAt)}">${formatLongDate(review.createdAt)}</time>
+            </div>
+            <p class="review-text">${escapeHTML(review.text)}</p>
+            ${reply}
+            ${report}
+        </li>
+    `;
+}
+
+function renderReviewForm(business) {
+    const own = localReviews[business.id];
+    const ratings = [5, 4, 3, 2, 1].map(rating => `
+        <input type="radio" name="review-rating" id="review-rating-${rating}" value="${rating}"${own?.rating === rating ? ' checked' : ''}>
+        <label for="review-rating-${rating}" title="${rating} ${rating === 1 ? 'star' : 'stars'}"><span class="visually-hidden">${rating} ${rating === 1 ? 'star' : 'stars'}</span></label>
+    `).join('');
+
+    return `
+        <form class="review-form" id="review-form" novalidate>
+            <h3 class="detail-subtitle" id="review-form-title">${own ? 'Edit your review' : 'Write a review'}</h3>
+            <div class="form-error-summary" id="review-error-summary" role="alert" hidden></div>
+            <fieldset class="form-group">
+                <legend class="form-label">Your rating *</legend>
+                <div class="star-input">${ratings}</div>
+            </fieldset>
+            <div class="form-group">
+                <label for="review-name" class="form-label">Name to show *</label>
+                <input type="text" id="review-name" class="form-input" autocomplete="given-name" value="${escapeHTML(own?.author || '')}" required>
+            </div>
+            ${own ? '' : `
+                <div class="form-group">
+                    <label for="review-email" class="form-label">Email address *</label>
+                    <input type="email" id="review-email" class="form-input" autocomplete="email" aria-describedby="review-email-hint" required>
+                    <p class="form-hint" id="review-email-hint">Never shown. Used to keep to one review per person.</p>
+                </div>
+            `}
+            <div class="form-group">
+                <label for="review-text" class="form-label">Your review *</label>
+                <textarea id="review-text" class="form-textarea" maxlength="1000" required>${escapeHTML(own?.text || '')}</textarea>
+            </div>
+            <button type="submit" class="btn btn-primary">${own ? 'Update review' : 'Post review'}</button>
+        </form>
+    `;
+}
+
+/**
+ * The reviews part of the detail view: summary, list, and a form for
+ * visitors (owners reply instead of reviewing their own listing)
+ */
+function renderReviewsSection(business) {
+    const reviews = getReviews(business);
+    const { average, count } = getRatingSummary(business);
+
+    const summary = count > 0
+        ? `
+            <div class="rating-summary">
+                <span class="review-average" aria-hidden="true">${average.toFixed(1)}</span>
+                ${renderStars(average)}
+                <span class="review-count">${describeRating(average, count)}</span>
+            </div>
+        `
+        : '<p class="detail-muted">No reviews yet.</p>';
+
+    return `
+        <h2 class="detail-section-title" id="reviews-title" tabindex="-1">Reviews</h2>
+        ${summary}
+        ${count > 0 ? `<ol class="review-list">${reviews.map(review => renderReview(review, business)).join('')}</ol>` : ''}
+        ${isListingOwner(business) || config.prerender ? '' : renderReviewForm(business)}
+    `;
+}
+
+function refreshReviewsSection(business) {
+    $('#detail-reviews').innerHTML = renderReviewsSection(business);
+}
+
+async function handleReviewSubmit(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const business = getBusinessById(form.closest('.detail-card').dataset.id);
+
+    const own = localReviews[business.id];
+    const ratingInput = form.querySelector('input[name="review-rating"]:checked');
+    const firstRating = form.querySelector('input[name="review-rating"]');
+    const errors = [];
+
+    if (ratingInput) {
+        clearFieldError(firstRating);
+    } else {
+        showFieldError(firstRating, 'Choose a rating from 1 to 5 stars.');
+        errors.push({ field: firstRating, message: 'Choose a rating from 1 to 5 stars.' });
+    }
+
+    // Editing keeps the original reviewer, so the email field isn't shown again
+    const rules = own
+        ? { 'review-name': REVIEW_RULES['review-name'], 'review-text': REVIEW_RULES['review-text'] }
+        : REVIEW_RULES;
+    errors.push(...validateForm(form, rules));
+
+    renderErrorSummary($('#review-error-summary'), errors);
+    if (errors.length > 0) {
+        errors[0].field.focus();
+        return;
+    }
+
+    let reviewerKey = own?.reviewerKey;
+    if (!own) {
+        try {
+            reviewerKey = await getReviewerKey($('#review-email').value.trim());
+        } catch (error) {
+            console.error('Reviewer key unavailable:', error);
+            const message = 'Reviews can\'t be posted from this page. Try again over a secure (https) connection.';
+            renderErrorSummary($('#review-error-summary'), [{ field: $('#review-email'), message }]);
+            $('#review-email').focus();
+            return;
+        }
+    }
+
+    // One review per person per business: editing keeps the review's id, a second email match is refused
+    const review = {
+        id: own ? own.id : createId(),
+        author: $('#review-name').value.trim(),
+        rating: Number(ratingInput.value),
+        text: $('#review-text').value.trim(),
+        createdAt: new Date().toISOString(),
+        reviewerKey
+    };
+
+    if (!own && await findRepeatReview(business, review)) {
+        const emailField = $('#review-email');
+        const message = 'There\'s already a review of this business from this email address.';
+        showFieldError(emailField, message);
+        renderErrorSummary($('#review-error-summary'), [{ field: emailField, message }]);
+        emailField.focus();
+        return;
+    }
+
+    localReviews[business.id] = review;
+    writeStorage('reviews', localReviews);
+
+    try {
+        await submitForReview('review', { businessId: business.id, review });
+    } catch (error) {
+        console.warn('Review saved here but not queued for moderation:', error);
+    }
+
+    refreshReviewsSection(business);
+    renderResultsPage();
+    $('#reviews-title').focus();
+    announceToScreenReader(own
+        ? 'Your review has been updated. It shows here now and counts toward the rating once a moderator approves it.'
+        : 'Thanks! Your review shows here now and counts toward the rating once a moderator approves it.');
+}
+
+function handleReplyClick(button) {
+    const item = button.closest('.review');
+    const fieldId = `reply-${item.dataset.reviewId}`;
+
+    button.setAttribute('aria-expanded', 'true');
+    button.hidden = true;
+    button.insertAdjacentHTML('afterend', `
+        <form class="review-reply-form" novalidate>
+            <div class="form-group">
+                <label for="${escapeHTML(fieldId)}" class="form-label">Public reply</label>
+                <textarea id="${escapeHTML(fieldId)}" class="form-textarea" maxlength="1000" required></textarea>
+            </div>
+            <div class="review-reply-actions">
+                <button type="button" class="btn btn-secondary" data-action="cancel-reply">Cancel</button>
+                <button type="submit" class="btn btn-primary">Post reply</button>
+            </div>
+        </form>
+    `);
+    item.querySelector('textarea').focus();
+}
+
+function handleReplyCancel(button) {
+    const item = button.closest('.review');
+    const replyBtn = item.querySelector('.review-reply-btn');
+
+    item.querySelector('.review-reply-form').remove();
+    replyBtn.hidden = false;
+    replyBtn.setAttribute('aria-expanded', 'false');
+    replyBtn.focus();
+}
+
+function handleReplySubmit(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const field = form.querySelector('textarea');
+    const reviewId = form.closest('.review').dataset.reviewId;
+    const business = getBusinessById(form.closest('.detail-card').dataset.id);
+    const value = field.value.trim();
+    const message = value ? checkLength(value, { min: 2, max: 1000, label: 'Reply' }) : 'Enter a reply.';
+
+    if (message) {
+        showFieldError(field, message);
+        field.focus();
+        return;
+    }
+
+    localReplies[reviewId] = { text: value, createdAt: new Date().toISOString() };
+    writeStorage('review-replies', localReplies);
+
+    refreshReviewsSection(business);
+    const reply = [...$$('.review')].find(item => item.dataset.reviewId === reviewId)?.querySelector('.review-reply');
+    reply?.setAttribute('tabindex', '-1');
+    reply?.focus();
+    announceToScreenReader('Your reply has been posted.');
+}
+
+function handleReportClick(button) {
+    const item = button.closest('.review');
+    const fieldId = `report-${item.dataset.reviewId}`;
+    const reasons = Object.entries(REVIEW_REPORT_REASONS)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`)
+        .join('');
+
+    button.setAttribute('aria-expanded', 'true');
+    button.hidden = true;
+    button.insertAdjacentHTML('afterend', `
+        <form class="review-report-form" novalidate>
+            <div class="form-group">
+                <label for="${escapeHTML(fieldId)}" class="form-label">What's wrong with this review?</label>
+                <select id="${escapeHTML(fieldId)}" class="form-select" required>
+                    <option value="">Choose a reason</option>
+                    ${reasons}
+                </select>
+            </div>
+            <div class="review-reply-actions">
+                <button type="button" class="btn btn-secondary" data-action="cancel-report">Cancel</button>
+                <button type="submit" class="btn btn-primary">Send report</button>
+            </div>
+        </form>
+    `);
+    item.querySelector('.review-report-form select').focus();
+}
+
+function handleReportCancel(button) {
+    const item = button.closest('.review');
+    const reportBtn = item.querySelector('.review-report-btn');
+
+    item.querySelector('.review-report-form').remove();
+    reportBtn.hidden = false;
+    reportBtn.setAttribute('aria-expanded', 'false');
+    reportBtn.focus();
+}
+
+/**
+ * Flag a review for a moderator; it stays up until one decides to take it down
+ */
+async function handleReportSubmit(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const field = form.querySelector('select');
+    const reviewId = form.closest('.review').dataset.reviewId;
+    const business = getBusinessById(form.closest('.detail-card').dataset.id);
+    const review = getReviews(business).find(entry => entry.id === reviewId);
+
+    if (!field.value) {
+        showFieldError(field, 'Choose why you\'re reporting this review.');
+        field.focus();
+        return;
+    }
+
+    try {
+        await submitForReview('review-flag', { businessId: business.id, review, reason: field.value });
+    } catch (error) {
+        console.error('Review report could not be queued:', error);
+        showFieldError(field, 'Your report couldn\'t be sent right now. Please try again.');
+        return;
+    }
+
+    reportedReviews.push(reviewId);
+    writeStorage('reported-reviews', reportedReviews);
+
+    refreshReviewsSection(business);
+    const notice = [...$$('.review')].find(item => item.dataset.reviewId === reviewId)?.querySelector('.review-reported');
+    notice?.setAttribute('tabindex', '-1');
+    notice?.focus();
+    announceToScreenReader('Thanks. A moderator will look at this review.');
+}
+
+/**
+ * Review, reply and report forms are re-rendered with the detail view, so listen on the container
+ */
+function handleDetailSubmit(e) {
+    if (e.target.id === 'review-form') {
+        handleReviewSubmit(e);
+    } else if (e.target.classList.contains('review-reply-form')) {
+        handleReplySubmit(e);
+    } else if (e.target.classList.contains('review-report-form')) {
+        handleReportSubmit(e);
+    }
+}
+
+// ========================================
+// Owner Dashboard
+// ========================================
+
+/** Listing fields a verified owner can change, in form order */
+const OWNER_FIELD_LABELS = {
+    description: 'Description',
+    category: 'Category',
+    services: 'Services',
+    tags: 'Features',
+    ownership: 'Ownership badges',
+    hours: 'Hours',
+    phone: 'Phone',
+    photos: 'Photos'
+};
+
+const OWNER_EDIT_STATUS_LABELS = {
+    pending: 'Pending review',
+    approved: 'Approved',
+    rejected: 'Not approved'
+};
+
+/**
+ * Same checks as the Add Your Business wizard; phone is required unless the listing has an email
+ */
+const OWNER_RULES = {
+    'owner-description': value => ADD_BUSINESS_RULES[1]['add-description'](value),
+    'owner-category': value => ADD_BUSINESS_RULES[1]['add-category'](value),
+    'owner-services': value => ADD_BUSINESS_RULES[2]['add-services'](value),
+    'owner-phone': value => {
+        if (value && !isValidPhone(value)) return 'Enter a 10-digit US phone number, like (865) 555-0123.';
+        if (!value && !ownerBusiness.email) return 'Enter a phone number so customers can reach you.';
+        return null;
+    }
+};
+
+/** Unpublished edits by business id, as { fields, savedAt, revertOf } */
+let ownerDrafts = {};
+/** Published edits by business id, newest first, as { id, submittedAt, status, changes, revertOf } */
+let listingEdits = {};
+/** Settles once uploaded photos in drafts and the edit history have been read back from IndexedDB */
+let listingPhotosReady = Promise.resolve();
+
+/**
+ * Uploaded photos from drafts and the edit history, each kept once as
+ * { id, dataURL }. localStorage holds only their ids, which are too small to fill it.
+ */
+const LISTING_PHOTO_STORE = 'listing-photos';
+const LISTING_PHOTO_PREFIX = 'photo:';
+
+let ownerBusiness = null;
+let ownerPhotos = [];
+/** Id of the history entry being undone by the edit in the form, if any */
+let ownerRevertOf = null;
+
+function loadOwnerEdits() {
+    const drafts = readStorage('owner-drafts', {});
+    const edits = readStorage('listing-edits', {});
+    ownerDrafts = drafts && typeof drafts === 'object' ? drafts : {};
+    listingEdits = edits && typeof edits === 'object' ? edits : {};
+}
+
+function getListingEdits(businessId) {
+    return Array.isArray(listingEdits[businessId]) ? listingEdits[businessId] : [];
+}
+
+/**
+ * Copy of the edit history with `callback` applied to every photo in it
+ */
+function mapListingEditPhotos(edits, callback) {
+    return Object.fromEntries(Object.entries(edits).map(([businessId, entries]) => [
+        businessId,
+        (Array.isArray(entries) ? entries : []).map(edit => {
+            const photos = edit.changes?.photos;
+            if (!photos) return edit;
+
+            return {
+                ...edit,
+                changes: {
+                    ...edit.changes,
+                    photos: { from: photos.from.map(callback).filter(Boolean), to: photos.to.map(callback).filter(Boolean) }
+                }
+            };
+        })
+    ]));
+}
+
+/**
+ * Copy of the drafts with `callback` applied to every photo in them
+ */
+function mapOwnerDraftPhotos(drafts, callback) {
+    return Object.fromEntries(Object.entries(drafts).map(([businessId, draft]) => [
+        businessId,
+        Array.isArray(draft?.fields?.photos)
+            ? { ...draft, fields: { ...draft.fields, photos: draft.fields.photos.map(callback).filter(Boolean) } }
+            : draft
+    ]));
+}
+
+/**
+ * Id for an uploaded photo, from its contents, so the same image is stored once
+ */
+function getListingPhotoId(dataURL) {
+    let hash = 5381;
+
+    for (let i = 0; i < dataURL.length; i++) {
+        hash = ((hash << 5) + hash + dataURL.charCodeAt(i)) >>> 0;
+    }
+
+    return `${LISTING_PHOTO_PREFIX}${hash.toString(16)}-${dataURL.length.toString(16)}`;
+}
+
+/**
+ * Photo callback that swaps uploaded images for their ids, collecting
+ * the images in `photos` for putListingPhotos
+ */
+function collectListingPhoto(photos) {
+    return src => {
+        if (!src.startsWith('data:')) return src;
+
+        const id = getListingPhotoId(src);
+        photos.set(id, src);
+        return id;
+    };
+}
+
+async function putListingPhotos(photos) {
+    if (photos.size === 0) return true;
+
+    try {
+        await withStore(LISTING_PHOTO_STORE, 'readwrite', store => {
+            photos.forEach((dataURL, id) => store.put({ id, dataURL }));
+        });
+        return true;
+    } catch (error) {
+        console.error('Listing photos could not be saved:', error);
+        return false;
+    }
+}
+
+/**
+ * Swap the photo ids in the stored drafts and history for their images. Photos
+ * missing from IndexedDB (cleared by the browser, say) drop out of them.
+ */
+async function loadListingPhotos() {
+    const hasIds = JSON.stringify([ownerDrafts, listingEdits]).includes(`"${LISTING_PHOTO_PREFIX}`);
+    if (!hasIds) return;
+
+    let photos = new Map();
+    try {
+        const entries = await withStore(LISTING_PHOTO_STORE, 'readonly', store => store.getAll());
+        photos = new Map(entries.map(entry => [entry.id, entry.dataURL]));
+    } catch (error) {
+        console.error('Listing photos could not be loaded:', error);
+    }
+
+    const resolve = src => src.startsWith(LISTING_PHOTO_PREFIX) ? photos.get(src) : src;
+    ownerDrafts = mapOwnerDraftPhotos(ownerDrafts, resolve);
+    listingEdits = mapListingEditPhotos(listingEdits, resolve);
+}
+
+/**
+ * Save the edit history, moving uploaded photos into IndexedDB first.
+ * Resolves false if either store refuses the write.
+ */
+async function saveListingEdits() {
+    const photos = new Map();
+    const stored = mapListingEditPhotos(listingEdits, collectListingPhoto(photos));
+
+    return await putListingPhotos(photos) && writeStorage('listing-edits', stored);
+}
+
+/**
+ * Save the drafts the same way, with their photos in IndexedDB
+ */
+async function saveOwnerDrafts() {
+    const photos = new Map();
+    const stored = mapOwnerDraftPhotos(ownerDrafts, collectListingPhoto(photos));
+
+    return await putListingPhotos(photos) && writeStorage('owner-drafts', stored);
+}
+
+/**
+ * Hours in the shape the dashboard reads back from its form, so an
+ * untouched listing compares equal to what it started as
+ */
+function buildOwnerHours(weekly, byAppointment, closures) {
+    return {
+        weekly: Object.fromEntries(WEEK_DAYS.map(({ key }) => [key, weekly[key] || []])),
+        ...(closures ? { closures } : {}),
+        byAppointment: Boolean(byAppointment)
+    };
+}
+
+function getListingFields(business) {
+    const hours = business.hours || { weekly: {} };
+
+    return {
+        description: business.description,
+        category: business.category,
+        services: [...business.services],
+        tags: business.tags.filter(tag => tag !== OPEN_24_HOURS_TAG).sort(),
+        ownership: { ...business.ownership },
+        hours: buildOwnerHours(hours.weekly, hours.byAppointment, hours.closures),
+        phone: business.phone,
+        photos: [...business.photos]
+    };
+}
+
+/**
+ * The listing as the owner last left it: published data with every edit
+ * that hasn't been turned down applied, oldest first
+ */
+function getOwnerBaseline(business) {
+    return getListingEdits(business.id)
+        .filter(edit => edit.status !== 'rejected')
+        .reverse()
+        .reduce((fields, edit) => ({
+            ...fields,
+            ...Object.fromEntries(Object.entries(edit.changes).map(([field, change]) => [field, change.to]))
+        }), getListingFields(business));
+}
+
+function diffOwnerFields(before, after) {
+    return Object.fromEntries(Object.keys(OWNER_FIELD_LABELS)
+        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+        .map(field => [field, { from: before[field], to: after[field] }]));
+}
+
+function readOwnerForm() {
+    const baseline = getOwnerBaseline(ownerBusiness);
+    const container = $('#owner-hours');
+    const weekly = readHoursFields(container, 'owner-hours');
+
+    // Keep any extra ranges the form has no room for, and store midnight closings as "24:00"
+    WEEK_DAYS.forEach(({ key }) => {
+        if (weekly[key].length === 0) return;
+        const [range] = weekly[key];
+        weekly[key] = [
+            { open: range.open, close: range.close === '00:00' ? '24:00' : range.close },
+            ...baseline.hours.weekly[key].slice(1)
+        ];
+    });
+
+    const phone = $('#owner-phone').value.trim();
+
+    return {
+        description: $('#owner-description').value.trim(),
+        category: $('#owner-category').value,
+        services: parseServices($('#owner-services').value),
+        tags: [...$$('#owner-tags input:checked')].map(input => input.value),
+        ownership: {
+            women: $('#owner-women').checked,
+            veteran: $('#owner-veteran').checked
+        },
+        hours: buildOwnerHours(weekly, $('#owner-by-appointment').checked, baseline.hours.closures),
+        phone: phone ? formatPhone(phone) : '',
+        photos: ownerPhotos.map(photo => photo.dataURL)
+    };
+}
+
+/**
+ * Short description of one field's value for the edit history
+ */
+function describeOwnerField(field, value) {
+    switch (field) {
+        case 'description':
+            return value.length > 80 ? `${value.slice(0, 80).trim()}…` : value;
+        case 'category':
+            return CATEGORY_LABELS[value] || value;
+        case 'services':
+            return value.join(', ') || 'None';
+        case 'tags':
+            return value.map(formatTagLabel).join(', ') || 'None';
+        case 'ownership':
+            return Object.keys(OWNERSHIP_LABELS).filter(key => value[key]).map(key => OWNERSHIP_LABELS[key]).join(', ') || 'None';
+        case 'hours':
+            return formatHoursSummary(value);
+        case 'photos':
+            return value.length === 1 ? '1 photo' : `${value.length} photos`;
+        default:
+            return value || 'None';
+    }
+}
+
+function renderOwnerPreview() {
+    const fields = readOwnerForm();
+    const preview = {
+        ...normalizeBusiness({ ...ownerBusiness, ...fields }),
+        isNew: ownerBusiness.isNew,
+        featured: ownerBusiness.featured
+    };
+
+    $('#owner-preview').innerHTML = renderBusinessCard(preview);
+}
+
+function renderOwnerHistory(business) {
+    const edits = getListingEdits(business.id);
+
+    if (edits.length === 0) {
+        return '<p class="detail-muted">Changes you publish are listed here.</p>';
+    }
+
+    return `
+        <ol class="owner-history">
+            ${edits.map(edit => {
+                const reverted = edits.find(other => other.id === edit.revertOf);
+                const changes = Object.entries(edit.changes).map(([field, { from, to }]) => `
+                    <li>
+                        <span class="owner-history-field">${OWNER_FIELD_LABELS[field]}:</span>
+                        <del>${escapeHTML(describeOwnerField(field, from))}</del>
+                        <ins>${escapeHTML(describeOwnerField(field, to))}</ins>
+                    </li>
+                `).join('');
+
+                return `
+                    <li class="owner-history-item" data-edit-id="${escapeHTML(edit.id)}">
+                        <div class="owner-history-header">
+                            <time datetime="${escapeHTML(edit.submittedAt)}">${formatLongDate(edit.submittedAt)}</time>
+                            <span class="owner-status owner-status--${edit.status}">${OWNER_EDIT_STATUS_LABELS[edit.status]}</span>
+                        </div>
+                        ${reverted ? `<p class="owner-history-note">Undoes the changes from ${formatLongDate(reverted.submittedAt)}</p>` : ''}
+                        <ul class="owner-history-changes">${changes}</ul>
+                        ${edit.status === 'rejected' ? '' : `<button type="button" class="owner-revert-btn" data-action="revert">Revert these changes</button>`}
+                    </li>
+                `;
+            }).join('')}
+        </ol>
+    `;
+}
+
+function renderOwnerForm(business, fields) {
+    const categories = Object.entries(CATEGORY_LABELS)
+        .map(([value, label]) => `<option value="${value}"${value === fields.category ? ' selected' : ''}>${escapeHTML(label)}</option>`)
+        .join('');
+
+    const tags = [...getKnownTags()]
+        .filter(tag => tag !== OPEN_24_HOURS_TAG)
+        .sort()
+        .map(tag => `
+            <label class="checkbox-option"><input type="checkbox" name="owner-tag" value="${escapeHTML(tag)}"${fields.tags.includes(tag) ? ' checked' : ''}> ${escapeHTML(formatTagLabel(tag))}</label>
+        `)
+        .join('');
+
+    return `
+        <form class="owner-form" id="owner-form" novalidate>
+            <div class="form-error-summary" id="owner-error-summary" role="alert" tabindex="-1" hidden></div>
+
+            <fieldset class="owner-fieldset">
+                <legend class="detail-section-title">About</legend>
+                <div class="form-group">
+                    <label for="owner-description" class="form-label">Description *</label>
+                    <textarea id="owner-description" class="form-textarea" maxlength="500" required>${escapeHTML(fields.description)}</textarea>
+                </div>
+                <div class="form-group">
+                    <label for="owner-category" class="form-label">Category *</label>
+                    <select id="owner-category" class="form-select" required>${categories}</select>
+                </div>
+            </fieldset>
+
+            <fieldset class="owner-fieldset">
+                <legend class="detail-section-title">Services and features</legend>
+                <div class="form-group">
+                    <label for="owner-services" class="form-label">Services</label>
+                    <input type="text" id="owner-services" class="form-input" value="${escapeHTML(fields.services.join(', '))}" aria-describedby="owner-services-hint">
+                    <p class="form-hint" id="owner-services-hint">Separate services with commas, up to ${ADD_BUSINESS_MAX_SERVICES}.</p>
+                </div>
+                <div class="form-group">
+                    <span class="form-label" id="owner-tags-label">Features</span>
+                    <div class="checkbox-list checkbox-list--columns" id="owner-tags" role="group" aria-labelledby="owner-tags-label">${tags}</div>
+                </div>
+                <div class="form-group">
+                    <span class="form-label" id="owner-ownership-label">Ownership</span>
+                    <div class="checkbox-list" role="group" aria-labelledby="owner-ownership-label">
+                        <label class="checkbox-option"><input type="checkbox" id="owner-women"${fields.ownership.women ? ' checked' : ''}> Women-owned</label>
+                        <label class="checkbox-option"><input type="checkbox" id="owner-veteran"${fields.ownership.veteran ? ' checked' : ''}> Veteran-owned</label>
+                    </div>
+                </div>
+            </fieldset>
+
+            <fieldset class="owner-fieldset">
+                <legend class="detail-section-title">Hours</legend>
+                <div class="form-group">
+                    <div class="hours-fields" id="owner-hours"></div>
+                </div>
+                <label class="checkbox-option"><input type="checkbox" id="owner-by-appointment"${fields.hours.byAppointment ? ' checked' : ''}> By appointment</label>
+            </fieldset>
+
+            <fieldset class="owner-fieldset">
+                <legend class="detail-section-title">Phone and photos</legend>
+                <div class="form-group">
+                    <label for="owner-phone" class="form-label">Phone Number</label>
+                    <input type="tel" id="owner-phone" class="form-input" autocomplete="tel-national" value="${escapeHTML(fields.phone)}" placeholder="(865) 555-0123">
+                </div>
+                <div class="form-group">
+                    <label for="owner-photos" class="form-label">Photos</label>
+                    <input type="file" id="owner-photos" class="form-input" accept=".jpg,.jpeg,.png,.webp,image/jpeg,image/png,image/webp" multiple aria-describedby="owner-photos-hint">
+                    <p class="form-hint" id="owner-photos-hint">Up to ${ADD_BUSINESS_MAX_PHOTOS} JPG, PNG or WebP images, 5 MB each.</p>
+                    <ul class="photo-previews" id="owner-photo-previews"></ul>
+                </div>
+            </fieldset>
+
+            <p class="form-error" id="owner-submit-error" role="alert" hidden></p>
+            <div class="owner-actions">
+                <p class="owner-draft-status" id="owner-draft-status" role="status"></p>
+                <button type="button" class="btn btn-secondary" data-action="save-draft">Save draft</button>
+                <button type="submit" class="btn btn-primary">Publish changes</button>
+            </div>
+        </form>
+    `;
+}
+
+/**
+ * Notice above the form: a restored draft, or edits still waiting for a moderator
+ */
+function renderOwnerNotice(business) {
+    const draft = ownerDrafts[business.id];
+    const pending = getListingEdits(business.id).filter(edit => edit.status === 'pending');
+
+    if (draft) {
+        return `
+            <div class="owner-notice">
+                <p>You have an unpublished draft saved ${formatLongDate(draft.savedAt)}.</p>
+                <button type="button" class="btn btn-secondary" data-action="discard-draft">Discard draft</button>
+            </div>
+        `;
+    }
+
+    if (pending.length > 0) {
+        return `
+            <div class="owner-notice owner-notice--pending">
+                <p>${pending.length === 1 ? 'One published change is' : `${pending.length} published changes are`} waiting for review. Your public listing updates once a moderator approves ${pending.length === 1 ? 'it' : 'them'}.</p>
+            </div>
+        `;
+    }
+
+    return '';
+}
+
+/**
+ * Shown instead of the form until this browser holds a verified claim
+ */
+function renderOwnerLocked(business) {
+    const pending = state.claims[business.id]?.status === 'pending';
+    const name = escapeHTML(business.name);
+
+    return `
+        <div class="no-results">
+            <p class="no-results-text">
+                ${pending
+                    ? `We're still checking your ownership document for <strong>${name}</strong>. You can edit the listing here once it's confirmed, usually within 24-48 hours.`
+                    : `Only the verified owner can edit <strong>${name}</strong>. Claim the listing to verify that it's yours.`}
+            </p>
+            ${pending ? '' : '<button type="button" class="btn btn-primary" data-action="claim">Claim this listing</button>'}
+        </div>
+    `;
+}
+
+function renderOwnerHeader(business) {
+    return `
+        <a href="${getBusinessURL(business)}" class="detail-back">${ICONS.back}Back to listing</a>
+        <header class="owner-header">
+            <span class="card-category">Owner dashboard</span>
+            <h1 class="detail-title" id="owner-title" tabindex="-1">${escapeHTML(business.name)}</h1>
+        </header>
+    `;
+}
+
+/**
+ * Draw the dashboard, with `fields` (defaulting to the draft or the
+ * owner's latest values) filled into the form
+ */
+function renderOwnerDashboard(business, fields = null) {
+    const draft = ownerDrafts[business.id];
+    const values = fields || draft?.fields || getOwnerBaseline(business);
+    const isOwner = isListingOwner(business);
+
+    ownerBusiness = business;
+    ownerRevertOf = fields ? ownerRevertOf : draft?.revertOf || null;
+    ownerPhotos = values.photos.map((src, index) => ({ name: `Photo ${index + 1}`, dataURL: src }));
+
+    elements.ownerDashboard.innerHTML = `
+        ${renderOwnerHeader(business)}
+        ${isOwner ? `
+            ${renderOwnerTabs(business, 'listing')}
+            <div class="owner-layout">
+                <div class="owner-main">
+                    <div id="owner-notice">${renderOwnerNotice(business)}</div>
+                    ${renderOwnerForm(business, values)}
+                </div>
+                <aside class="owner-sidebar" aria-label="Preview and history">
+                    <h2 class="detail-section-title" id="owner-preview-title">Preview</h2>
+                    <div class="owner-preview" id="owner-preview" role="list" aria-labelledby="owner-preview-title" inert></div>
+                    <h2 class="detail-section-title" id="owner-history-title" tabindex="-1">Edit history</h2>
+                    <div id="owner-history">${renderOwnerHistory(business)}</div>
+                </aside>
+            </div>
+        ` : renderOwnerLocked(business)}
+    `;
+
+    if (!isOwner) return;
+
+    // Times can't show "24:00", so midnight closings are filled in as "00:00"
+    const weekly = Object.fromEntries(Object.entries(values.hours.weekly).map(([key, ranges]) => [
+        key,
+        ranges.map(range => ({ ...range, close: range.close === '24:00' ? '00:00' : range.close }))
+    ]));
+    renderHoursFields($('#owner-hours'), 'owner-hours', weekly);
+    $('#owner-photo-previews').innerHTML = renderPhotoPreviews(ownerPhotos);
+    renderOwnerPreview();
+    updateUnreadCount(business.id);
+}
+
+async function showOwnerDashboard(id) {
+    const route = currentRoute;
+    await listingPhotosReady;
+    if (currentRoute !== route) return;
+
+    const business = getBusinessById(id);
+
+    if (business) {
+        renderOwnerDashboard(business);
+    } else {
+        elements.ownerDashboard.innerHTML = renderBusinessNotFound().replace('id="detail-title"', 'id="owner-title"');
+    }
+
+    document.title = `${business ? `Owner dashboard: ${business.name}` : 'Business not found'} | Rocky Top Business Directory`;
+    showView('owner');
+    window.scrollTo(0, 0);
+    $('#owner-title').focus();
+}
+
+function setOwnerDraftStatus(message) {
+    $('#owner-draft-status').textContent = message;
+}
+
+async function handleOwnerSaveDraft() {
+    const savedAt = new Date().toISOString();
+    const previous = ownerDrafts[ownerBusiness.id];
+    ownerDrafts[ownerBusiness.id] = { fields: readOwnerForm(), savedAt, revertOf: ownerRevertOf };
+
+    if (!await saveOwnerDrafts()) {
+        if (previous) ownerDrafts[ownerBusiness.id] = previous;
+        else delete ownerDrafts[ownerBusiness.id];
+        setOwnerDraftStatus('The draft couldn\'t be saved in this browser.');
+        return;
+    }
+
+    $('#owner-notice').innerHTML = renderOwnerNotice(ownerBusiness);
+    setOwnerDraftStatus(`Draft saved at ${new Date(savedAt).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}.`);
+}
+
+function discardOwnerDraft(business) {
+    delete ownerDrafts[business.id];
+    saveOwnerDrafts();
+}
+
+function handleOwnerDiscardDraft() {
+    discardOwnerDraft(ownerBusiness);
+    ownerRevertOf = null;
+    renderOwnerDashboard(ownerBusiness, getOwnerBaseline(ownerBusiness));
+    $('#owner-title').focus();
+    announceToScreenReader('Draft discarded.');
+}
+
+/**
+ * Load the values from before a published edit into the form; publishing
+ * then sends the undo through moderation like any other change
+ */
+function handleOwnerRevert(button) {
+    const edit = getListingEdits(ownerBusiness.id).find(item => item.id === button.closest('.owner-history-item').dataset.editId);
+    if (!edit) return;
+
+    const fields = {
+        ...readOwnerForm(),
+        ...Object.fromEntries(Object.entries(edit.changes).map(([field, change]) => [field, change.from]))
+    };
+
+    ownerRevertOf = edit.id;
+    renderOwnerDashboard(ownerBusiness, fields);
+    setOwnerDraftStatus(`Loaded the listing as it was before ${formatLongDate(edit.submittedAt)}. Publish to submit the change.`);
+    $('#owner-description').focus();
+}
+
+async function handleOwnerSubmit(e) {
+    e.preventDefault();
+
+    const form = e.target;
+    const business = ownerBusiness;
+    const errors = [
+        ...validateForm(form, OWNER_RULES),
+        ...validateHoursFields($('#owner-hours'), 'owner-hours')
+    ];
+    const submitError = $('#owner-submit-error');
+
+    submitError.hidden = true;
+    renderErrorSummary($('#owner-error-summary'), errors);
+    if (errors.length > 0) {
+        errors[0].field.focus();
+        return;
+    }
+
+    const changes = diffOwnerFields(getOwnerBaseline(business), readOwnerForm());
+    if (Object.keys(changes).length === 0) {
+        submitError.textContent = 'Nothing has changed since your last published edit.';
+        submitError.hidden = false;
+        return;
+    }
+
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+
+    try {
+        const item = await submitForReview('listing-edit', { businessId: business.id, changes, revertOf: ownerRevertOf });
+        const edit = { id: item.id, submittedAt: item.submittedAt, status: 'pending', changes, revertOf: ownerRevertOf };
+
+        listingEdits[business.id] = [edit, ...getListingEdits(business.id)];
+        const saved = await saveListingEdits();
+        if (saved) discardOwnerDraft(business);
+        ownerRevertOf = null;
+
+        renderOwnerDashboard(business);
+        $('#owner-history-title').focus();
+        if (saved) {
+            setOwnerDraftStatus('');
+            announceToScreenReader('Your changes were sent for review.');
+        } else {
+            setOwnerDraftStatus('Your changes were sent for review, but this browser couldn\'t save them to your edit history, so your draft has been kept.');
+            announceToScreenReader('Your changes were sent for review, but your edit history couldn\'t be saved.');
+        }
+    } catch (error) {
+        console.error('Listing edit could not be queued:', error);
+        submitError.textContent = 'Your changes couldn\'t be sent right now. Save a draft and try again.';
+        submitError.hidden = false;
+        button.disabled = false;
+    }
+}
+
+/**
+ * Re-check fields already showing an error and keep the preview in step with the form
+ */
+function handleOwnerInput(e) {
+    const field = e.target;
+    if (!field.closest('#owner-form')) return;
+
+    if (field.getAttribute('aria-invalid') === 'true') {
+        if (OWNER_RULES[field.id]) {
+            validateField(field, OWNER_RULES);
+        } else if (field.type === 'time') {
+            validateHoursFields($('#owner-hours'), 'owner-hours');
+        }
+    }
+
+    if (field.id === 'owner-phone' && e.type === 'input') handlePhoneInput(e);
+    if (field.type !== 'file') {
+        setOwnerDraftStatus('Unsaved changes.');
+        renderOwnerPreview();
+    }
+}
+
+async function handleOwnerChange(e) {
+    const field = e.target;
+
+    if (field.closest('#owner-hours')) {
+        handleHoursToggle(e);
+    }
+
+    if (field.id === 'owner-photos') {
+        const errors = await addPhotoFiles([...field.files], ownerPhotos);
+
+        field.value = '';
+        $('#owner-photo-previews').innerHTML = renderPhotoPreviews(ownerPhotos);
+        if (errors.length > 0) {
+            showFieldError(field, errors.join(' '));
+        } else {
+            clearFieldError(field);
+        }
+        setOwnerDraftStatus('Unsaved changes.');
+        renderOwnerPreview();
+    }
+}
+
+function handleOwnerClick(e) {
+    if (e.target.closest('.form-error-summary')) {
+        handleErrorSummaryClick(e);
+        return;
+    }
+
+    const action = e.target.closest('[data-action]')?.dataset.action;
+    const photoRemove = e.target.closest('.photo-remove');
+
+    if (photoRemove) {
+        const [removed] = ownerPhotos.splice(Number(photoRemove.dataset.index), 1);
+        $('#owner-photo-previews').innerHTML = renderPhotoPreviews(ownerPhotos);
+        $('#owner-photos').focus();
+        setOwnerDraftStatus('Unsaved changes.');
+        renderOwnerPreview();
+        announceToScreenReader(`Removed ${removed.name}`);
+    } else if (action === 'save-draft') {
+        handleOwnerSaveDraft();
+    } else if (action === 'discard-draft') {
+        handleOwnerDiscardDraft();
+    } else if (action === 'revert') {
+        handleOwnerRevert(e.target.closest('[data-action]'));
+    } else if (action === 'claim') {
+        openClaimModal();
+        elements.claimSearch.value = ownerBusiness.name;
+        elements.claimSearch.dispatchEvent(new Event('input'));
+    }
+}
+
+// ========================================
+// Lead Inbox
+// ========================================
+
+const LEAD_INBOX_STORE = 'lead-inbox';
+
+const LEAD_STATUS_LABELS = {
+    new: 'New',
+    replied: 'Replied',
+    closed: 'Closed'
+};
+
+/**
+ * Local stand-in for an email service: logs each message to the console.
+ * A real transport implements the same async send({ to, subject, text }).
+ */
+function createLocalMailTransport() {
+    return {
+        async send({ to, subject, text }) {
+            console.info(`[mail stub] To: ${to}\nSubject: ${subject}\n\n${text}`);
+            return { messageId: createId() };
+        }
+    };
+}
+
+const mailTransport = config.mailTransport || createLocalMailTransport();
+
+let inboxBusiness = null;
+let inboxLeads = [];
+let expandedLeadId = null;
+let leadDigestTimer = null;
+let leadDigestsRunning = false;
+/** Business whose inbox was opened mid-run, so the run goes round again for it */
+let leadDigestsRequested = null;
+
+/**
+ * Subject topics, taken from the contact form so the two never drift apart
+ */
+function getLeadSubjects() {
+    return [...$('#contact-subject').options]
+        .filter(option => option.value)
+        .map(option => ({ value: option.value, label: option.textContent.trim() }));
+}
+
+function getLeadSubjectLabel(value) {
+    return getLeadSubjects().find(subject => subject.value === value)?.label || value;
+}
+
+/**
+ * File a delivered lead in the business's inbox. Leads held as suspected
+ * spam never reach the owner, so they aren't filed.
+ */
+async function receiveLead(lead) {
+    if (lead.routing === 'suspected-spam') return;
+
+    try {
+        await withStore(LEAD_INBOX_STORE, 'readwrite', store => store.put({
+            id: lead.id,
+            businessId: lead.businessId,
+            name: lead.name,
+            email: lead.email,
+            phone: lead.phone,
+            subject: lead.subject,
+            message: lead.message,
+            submittedAt: lead.submittedAt,
+            status: 'new',
+            read: false,
+            notified: false
+        }));
+    } catch (error) {
+        console.warn('Lead delivered but not filed in the inbox:', error);
+    }
+}
+
+async function getInboxLeads(businessId) {
+    const leads = await withStore(LEAD_INBOX_STORE, 'readonly', store => store.getAll());
+    return leads
+        .filter(lead => lead.businessId === businessId)
+        .sort((a, b) => b.submittedAt.localeCompare(a.submittedAt));
+}
+
+function buildLeadDigest(business, leads) {
+    const inboxURL = `${location.origin}${location.pathname}#/owner/${encodeURIComponent(business.id)}/leads`;
+    const items = leads.map(lead => [
+        `${getLeadSubjectLabel(lead.subject)} from ${lead.name} <${lead.email}>${lead.phone ? `, ${lead.phone}` : ''}`,
+        `Received ${new Date(lead.submittedAt).toLocaleString('en-US', { timeZone: DIRECTORY_TIME_ZONE })}`,
+        lead.message
+    ].join('\n'));
+
+    return {
+        to: business.email,
+        subject: `${leads.length} new ${leads.length === 1 ? 'message' : 'messages'} for ${business.name}`,
+        text: `${items.join('\n\n---\n\n')}\n\nSee every message in your inbox: ${inboxURL}`
+    };
+}
+
+/**
+ * Email the owner a digest of leads they haven't been told about, at most
+ * once per `config.leadDigest.intervalMs`, and send the next one when it's
+ * due if their inbox is still open.
+ *
+ * This is a demo hook: it runs from the owner's inbox view, over the leads
+ * filed in this browser. With a backend, the server sends digests from its
+ * own record of received leads.
+ */
+async function processLeadDigests(businessId) {
+    clearTimeout(leadDigestTimer);
+    if (leadDigestsRunning) {
+        leadDigestsRequested = businessId;
+        return;
+    }
+
+    leadDigestsRunning = true;
+    leadDigestsRequested = null;
+
+    try {
+        await sendDueLeadDigest(businessId);
+    } finally {
+        leadDigestsRunning = false;
+        if (leadDigestsRequested) processLeadDigests(leadDigestsRequested);
+    }
+}
+
+async function sendDueLeadDigest(businessId) {
+    const business = getBusinessById(businessId);
+    if (!business?.email) return;
+
+    const route = currentRoute;
+    let items;
+    try {
+        items = (await getInboxLeads(businessId)).filter(lead => !lead.notified);
+    } catch (error) {
+        return;
+    }
+    if (items.length === 0) return;
+
+    const sent = readStorage('lead-digests', {});
+    const now = Date.now();
+    const dueAt = (sent[businessId] || 0) + config.leadDigest.intervalMs;
+
+    if (dueAt > now) {
+        leadDigestTimer = setTimeout(() => {
+            if (currentRoute === route) processLeadDigests(businessId);
+        }, dueAt - now);
+        return;
+    }
+
+    try {
+        await mailTransport.send(buildLeadDigest(business, items));
+        sent[businessId] = now;
+        writeStorage('lead-digests', sent);
+        await withStore(LEAD_INBOX_STORE, 'readwrite', store => {
+            items.forEach(item => store.put({ ...item, notified: true }));
+        });
+    } catch (error) {
+        console.warn(`Lead digest for ${business.name} could not be sent:`, error);
+    }
+}
+
+function renderOwnerTabs(business, current) {
+    const base = `#/owner/${encodeURIComponent(business.id)}`;
+    const tabs = [
+        { name: 'listing', href: base, label: 'Listing' },
+        { name: 'leads', href: `${base}/leads`, label: 'Leads' },
+        { name: 'stats', href: `${base}/stats`, label: 'Stats' }
+    ];
+
+    return `
+        <nav class="owner-tabs" aria-label="Owner dashboard">
+            ${tabs.map(tab => `
+                <a href="${tab.href}" class="owner-tab"${tab.name === current ? ' aria-current="page"' : ''}>
+                    ${tab.label}${tab.name === 'leads' ? ' <span class="owner-tab-count" id="owner-unread-count" hidden></span>' : ''}
+                </a>
+            `).join('')}
+        </nav>
+    `;
+}
+
+async function updateUnreadCount(businessId) {
+    try {
+        const unread = (await getInboxLeads(businessId)).filter(lead => !lead.read).length;
+        const badge = $('#owner-unread-count');
+        if (!badge) return;
+
+        badge.textContent = `${unread} unread`;
+        badge.hidden = unread === 0;
+    } catch (error) {
+        // Inbox unavailable; leave the tab without a count
+    }
+}
+
+function renderLeadItem(lead) {
+    const expanded = lead.id === expandedLeadId;
+    const bodyId = `lead-${lead.id}`;
+    const received = new Date(lead.submittedAt);
+
+    return `
+        <li class="lead-item${lead.read ? '' : ' lead-item--unread'}" data-lead-id="${escapeHTML(lead.id)}">
+            <button type="button" class="lead-toggle" aria-expanded="${expanded}" aria-controls="${escapeHTML(bodyId)}">
+                <span class="lead-from">${lead.read ? '' : '<span class="visually-hidden">Unread: </span>'}${escapeHTML(lead.name)}</span>
+                <span class="lead-subject">${escapeHTML(getLeadSubjectLabel(lead.subject))}</span>
+                <span class="lead-snippet">${escapeHTML(lead.message)}</span>
+                <time class="lead-date" datetime="${escapeHTML(lead.submittedAt)}">${received.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}</time>
+                <span class="owner-status lead-status--${lead.status}">${LEAD_STATUS_LABELS[lead.status]}</span>
+            </button>
+            <div class="lead-body" id="${escapeHTML(bodyId)}"${expanded ? '' : ' hidden'}>
+                <dl class="lead-contact">
+                    <div><dt>Email</dt><dd><a href="mailto:${escapeHTML(lead.email)}">${escapeHTML(lead.email)}</a></dd></div>
+                    ${lead.phone ? `<div><dt>Phone</dt><dd><a href="tel:+1${getPhoneDigits(lead.phone)}">${escapeHTML(lead.phone)}</a></dd></div>` : ''}
+                    <div><dt>Received</dt><dd>${escapeHTML(received.toLocaleString('en-US', { dateStyle: 'long', timeStyle: 'short', timeZone: DIRECTORY_TIME_ZONE }))}</dd></div>
+                </dl>
+                <p class="lead-message">${escapeHTML(lead.message)}</p>
+                <div class="lead-actions">
+                    <a href="mailto:${escapeHTML(lead.email)}?subject=${encodeURIComponent(`Re: ${getLeadSubjectLabel(lead.subject)}`)}" class="btn btn-primary" data-action="reply">Reply by email</a>
+                    <label class="visually-hidden" for="lead-status-${escapeHTML(lead.id)}">Status</label>
+                    <select class="form-select lead-status-select" id="lead-status-${escapeHTML(lead.id)}">
+                        ${Object.entries(LEAD_STATUS_LABELS).map(([value, label]) => `<option value="${value}"${value === lead.status ? ' selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                    <button type="button" class="btn btn-secondary" data-action="mark-unread">Mark as unread</button>
+                </div>
+            </div>
+        </li>
+    `;
+}
+
+/**
+ * Leads matching the inbox's search box, subject and status filters
+ */
+function getFilteredLeads() {
+    const terms = tokenize($('#lead-search').value);
+    const subject = $('#lead-subject-filter').value;
+    const status = $('#lead-status-filter').value;
+
+    return inboxLeads.filter(lead => {
+        if (subject && lead.subject !== subject) return false;
+        if (status && lead.status !== status) return false;
+
+        const text = tokenize(`${lead.name} ${lead.email} ${lead.phone} ${lead.message}`).join(' ');
+        return terms.every(term => text.includes(term));
+    });
+}
+
+function renderLeadList() {
+    const leads = getFilteredLeads();
+
+    $('#lead-export').disabled = leads.length === 0;
+    $('#lead-list').innerHTML = leads.length > 0
+        ? leads.map(renderLeadItem).join('')
+        : `<li class="detail-muted">${inboxLeads.length === 0 ? 'No messages yet. Leads sent through the Contact button on your listing show up here.' : 'No leads match these filters.'}</li>`;
+    renderLeadCount();
+}
+
+function renderLeadCount() {
+    const shown = $$('.lead-item').length;
+    const unread = inboxLeads.filter(lead => !lead.read).length;
+
+    $('#lead-count').textContent = inboxLeads.length === 0
+        ? ''
+        : `Showing ${shown} of ${inboxLeads.length} ${inboxLeads.length === 1 ? 'lead' : 'leads'}, ${unread} unread`;
+}
+
+async function showLeadInbox(id) {
+    const business = getBusinessById(id);
+
+    if (!business || !isListingOwner(business)) {
+        showOwnerDashboard(id);
+        return;
+    }
+
+    inboxBusiness = business;
+    inboxLeads = [];
+    expandedLeadId = null;
+
+    const subjects = getLeadSubjects()
+        .map(({ value, label }) => `<option value="${value}">${escapeHTML(label)}</option>`)
+        .join('');
+    const statuses = Object.entries(LEAD_STATUS_LABELS)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`)
+        .join('');
+
+    elements.ownerDashboard.innerHTML = `
+        ${renderOwnerHeader(business)}
+        ${renderOwnerTabs(business, 'leads')}
+        <div class="lead-inbox owner-main">
+            <div class="lead-toolbar" role="search" aria-label="Filter leads">
+                <label class="visually-hidden" for="lead-search">Search leads</label>
+                <input type="search" id="lead-search" class="form-input" placeholder="Search name, email or message">
+                <label class="visually-hidden" for="lead-subject-filter">Subject</label>
+                <select id="lead-subject-filter" class="form-select"><option value="">All subjects</option>${subjects}</select>
+                <label class="visually-hidden" for="lead-status-filter">Status</label>
+                <select id="lead-status-filter" class="form-select"><option value="">All statuses</option>${statuses}</select>
+                <button type="button" class="btn btn-secondary" id="lead-export" data-action="export" disabled>Export CSV</button>
+            </div>
+            <p class="lead-count" id="lead-count" role="status"></p>
+            <p class="form-error" id="lead-error" role="alert" hidden></p>
+            <ul class="lead-list" id="lead-list" aria-labelledby="owner-title"></ul>
+        </div>
+    `;
+
+    document.title = `Leads: ${business.name} | Rocky Top Business Directory`;
+    showView('owner');
+    window.scrollTo(0, 0);
+    $('#owner-title').focus();
+
+    const route = currentRoute;
+
+    try {
+        inboxLeads = await getInboxLeads(business.id);
+        if (currentRoute !== route) return;
+        renderLeadList();
+        updateUnreadCount(business.id);
+        processLeadDigests(business.id);
+    } catch (error) {
+        if (currentRoute !== route) return;
+        console.error('Lead inbox unavailable:', error);
+        $('#lead-list').innerHTML = '<li class="form-error">Your inbox couldn\'t be opened in this browser.</li>';
+    }
+}
+
+async function updateLead(id, changes) {
+    const index = inboxLeads.findIndex(lead => lead.id === id);
+    if (index === -1) return;
+
+    const previous = inboxLeads[index];
+    inboxLeads[index] = { ...previous, ...changes };
+    try {
+        await withStore(LEAD_INBOX_STORE, 'readwrite', store => store.put(inboxLeads[index]));
+    } catch (error) {
+        inboxLeads[index] = previous;
+        throw error;
+    }
+
+    const item = [...$$('.lead-item')].find(element => element.dataset.leadId === id);
+    if (item) item.outerHTML = renderLeadItem(inboxLeads[index]);
+    renderLeadCount();
+    updateUnreadCount(inboxBusiness.id);
+}
+
+function exportLeadsCSV() {
+    const rows = getFilteredLeads().map(lead => [
+        lead.submittedAt,
+        lead.name,
+        lead.email,
+        lead.phone,
+        getLeadSubjectLabel(lead.subject),
+        lead.message,
+        LEAD_STATUS_LABELS[lead.status],
+        lead.read ? 'Yes' : 'No'
+    ]);
+    const csv = toCSV([['Received', 'Name', 'Email', 'Phone', 'Subject', 'Message', 'Status', 'Read'], ...rows]);
+
+    downloadFile(`leads-${inboxBusiness.id}-${getZonedTime().date}.csv`, csv, 'text/csv;charset=utf-8');
+    announceToScreenReader(`Exported ${rows.length} ${rows.length === 1 ? 'lead' : 'leads'}.`);
+}
+
+/**
+ * Put a lead whose change couldn't be saved back as it was, and say so
+ */
+function showLeadUpdateError(id, error) {
+    console.error('Lead could not be updated:', error);
+
+    const lead = inboxLeads.find(entry => entry.id === id);
+    const item = [...$$('.lead-item')].find(element => element.dataset.leadId === id);
+    if (lead && item) item.outerHTML = renderLeadItem(lead);
+
+    $('#lead-error').textContent = 'That change couldn\'t be saved in this browser. Try again.';
+    $('#lead-error').hidden = false;
+}
+
+async function handleInboxClick(e) {
+    if (!e.target.closest('.lead-inbox')) return;
+
+    const item = e.target.closest('.lead-item');
+    const id = item?.dataset.leadId;
+    const lead = inboxLeads.find(entry => entry.id === id);
+    const action = e.target.closest('[data-action]')?.dataset.action;
+
+    $('#lead-error').hidden = true;
+
+    try {
+        if (action === 'export') {
+            exportLeadsCSV();
+        } else if (e.target.closest('.lead-toggle')) {
+            expandedLeadId = expandedLeadId === id ? null : id;
+            if (lead.read) {
+                item.outerHTML = renderLeadItem(lead);
+            } else {
+                await updateLead(id, { read: true });
+            }
+            [...$$('.lead-item')].find(element => element.dataset.leadId === id)?.querySelector('.lead-toggle').focus();
+        } else if (action === 'mark-unread') {
+            expandedLeadId = null;
+            await updateLead(id, { read: false });
+            [...$$('.lead-item')].find(element => element.dataset.leadId === id)?.querySelector('.lead-toggle').focus();
+        } else if (action === 'reply' && lead.status === 'new') {
+            // The mail app opens from the link; count the lead as answered
+            await updateLead(id, { status: 'replied' });
+        }
+    } catch (error) {
+        showLeadUpdateError(id, error);
+    }
+}
+
+async function handleInboxChange(e) {
+    const field = e.target;
+    if (!field.closest('.lead-inbox')) return;
+
+    if (field.classList.contains('lead-status-select')) {
+        const id = field.closest('.lead-item').dataset.leadId;
+        $('#lead-error').hidden = true;
+
+        try {
+            await updateLead(id, { status: field.value });
+        } catch (error) {
+            showLeadUpdateError(id, error);
+            return;
+        }
+        [...$$('.lead-item')].find(element => element.dataset.leadId === id)?.querySelector('.lead-status-select').focus();
+        announceToScreenReader(`Marked as ${LEAD_STATUS_LABELS[field.value].toLowerCase()}`);
+    } else if (field.id === 'lead-subject-filter' || field.id === 'lead-status-filter') {
+        renderLeadList();
+    }
+}
+
+function handleInboxInput(e) {
+    if (e.target.id === 'lead-search') renderLeadList();
+}
+
+// ========================================
+// Moderation
+// ========================================
+
+const AUDIT_LOG_STORE = 'audit-log';
+
+/** Hosts that may open the admin pages when no `isModerator` hook is set */
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Whether this visitor may moderate, import and see usage numbers. A live
+ * site supplies `config.isModerator`, backed by a signed-in account;
+ * without one only a copy served from this machine opens the admin pages.
+ */
+function canModerate() {
+    if (typeof config.isModerator === 'function') return Boolean(config.isModerator());
+    return LOCAL_HOSTNAMES.includes(window.location.hostname);
+}
+
+/**
+ * Wrap an admin route so visitors who can't moderate get a notice instead
+ */
+function requireModerator(render) {
+    return (...params) => canModerate() ? render(...params) : showModeratorsOnly();
+}
+
+function showModeratorsOnly() {
+    elements.adminView.innerHTML = `
+        <a href="#/" class="detail-back" data-action="back">${ICONS.back}Back to listings</a>
+        <div class="no-results">
+            <h1 class="no-results-title detail-title" id="admin-title" tabindex="-1">Moderators only</h1>
+            <p class="no-results-text">This page is for the directory's moderators.</p>
+        </div>
+    `;
+
+    document.title = 'Moderators only | Rocky Top Business Directory';
+    showView('admin');
+    window.scrollTo(0, 0);
+    $('#admin-title').focus();
+}
+
+const MODERATION_STATUS_LABELS = {
+    pending: 'Pending',
+    escalated: 'Escalated',
+    approved: 'Approved',
+    rejected: 'Rejected'
+};
+
+/** Decision buttons and the status each one leaves the item in */
+const MODERATION_DECISIONS = {
+    approve: 'approved',
+    reject: 'rejected',
+    escalate: 'escalated'
+};
+
+/**
+ * What each kind of queue item is called, how it's shown to a moderator,
+ * and what approving or rejecting it changes in the directory
+ */
+const MODERATION_TYPES = {
+    'new-business': {
+        label: 'New listing',
+        render: renderNewListingSubmission,
+        approve: publishNewListing
+    },
+    'listing-edit': {
+        label: 'Listing edit',
+        render: renderListingEditDiff,
+        approve: item => {
+            publishListingEdit(item);
+            setListingEditStatus(item, 'approved');
+        },
+        reject: item => setListingEditStatus(item, 'rejected')
+    },
+    claim: {
+        label: 'Ownership claim',
+        render: renderClaimSubmission,
+        approve: item => {
+            const business = getBusinessById(item.payload.businessId);
+            if (business) recordClaim(business, 'claimed', item.payload.method);
+        },
+        reject: item => {
+            if (state.claims[item.payload.businessId]?.method === item.payload.method) {
+                removeClaim(item.payload.businessId);
+            }
+        }
+    },
+    review: {
+        label: 'New review',
+        render: item => renderModerationReview(item.payload.review),
+        approve: publishReview,
+        reject: item => hideReview(item.payload.businessId, item.payload.review)
+    },
+    'review-flag': {
+        label: 'Reported review',
+        approveLabel: 'Remove review',
+        rejectLabel: 'Keep review',
+        render: renderReviewFlag,
+        approve: item => hideReview(item.payload.businessId, item.payload.review)
+    }
+};
+
+/** Audit log actions and types, which also cover listing imports */
+const AUDIT_ACTION_LABELS = { ...MODERATION_STATUS_LABELS, imported: 'Imported' };
+const AUDIT_TYPE_LABELS = {
+    ...Object.fromEntries(Object.entries(MODERATION_TYPES).map(([type, { label }]) => [type, label])),
+    import: 'Listing import'
+};
+
+/**
+ * Decisions that change what the directory shows, kept in this browser
+ * and applied over the listing data each time it loads
+ */
+let moderatedListings = { added: [], edits: {}, reviews: {}, hiddenReviews: [] };
+let moderationItems = [];
+let auditEntries = [];
+
+function loadModeration() {
+    const saved = readStorage('moderated-listings', {});
+    moderatedListings = {
+        added: Array.isArray(saved?.added) ? saved.added : [],
+        edits: saved?.edits && typeof saved.edits === 'object' ? saved.edits : {},
+        reviews: saved?.reviews && typeof saved.reviews === 'object' ? saved.reviews : {},
+        hiddenReviews: Array.isArray(saved?.hiddenReviews) ? saved.hiddenReviews : []
+    };
+}
+
+function saveModeration() {
+    return writeStorage('moderated-listings', moderatedListings);
+}
+
+function applyListingChanges(business, fields) {
+    return normalizeBusiness({ ...business, ...fields });
+}
+
+/**
+ * Listings with approved edits and reviews applied and approved
+ * submissions added, unless the data source already has them
+ */
+function applyModeration(businesses) {
+    const listings = businesses
+        .map(business => moderatedListings.edits[business.id]
+            ? applyListingChanges(business, moderatedListings.edits[business.id])
+            : business)
+        .map(business => moderatedListings.reviews[business.id]
+            ? withPublishedReviews(business, moderatedListings.reviews[business.id])
+            : business);
+
+    moderatedListings.added
+        .filter(record => !listings.some(business => business.id === record.id))
+        .forEach(record => listings.push(normalizeBusiness(record)));
+
+    return listings;
+}
+
+/**
+ * Bring search, stats and results up to date after a decision changes the listings
+ */
+function refreshListings() {
+    applySchedules();
+    searchIndex = buildSearchIndex(state.businesses);
+    claimIndex = buildSearchIndex(state.businesses, CLAIM_SEARCH_WEIGHTS);
+    updateDirectoryStats();
+    applyFilters({ updateHistory: false });
+}
+
+function publishNewListing(item) {
+    const submission = item.payload.business;
+    let id = submission.id;
+    for (let n = 2; getBusinessById(id); n++) {
+        id = `${submission.id}-${n}`;
+    }
+
+    const record = { ...submission, id, createdAt: getZonedTime().date };
+    moderatedListings.added.push(record);
+    saveModeration();
+
+    state.businesses.push(normalizeBusiness(record));
+    refreshListings();
+}
+
+function publishListingEdit(item) {
+    const { businessId, changes } = item.payload;
+    const fields = Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.to]));
+
+    moderatedListings.edits[businessId] = { ...moderatedListings.edits[businessId], ...fields };
+    saveModeration();
+
+    state.businesses = state.businesses.map(business => business.id === businessId ? applyListingChanges(business, fields) : business);
+    refreshListings();
+}
+
+/**
+ * A listing with approved reviews in place of earlier versions of them
+ */
+function withPublishedReviews(business, reviews) {
+    const ids = new Set(reviews.map(review => review.id));
+    return { ...business, reviews: [...business.reviews.filter(review => !ids.has(review.id)), ...reviews] };
+}
+
+function publishReview(item) {
+    const { businessId, review } = item.payload;
+    const approved = (moderatedListings.reviews[businessId] || []).filter(entry => entry.id !== review.id);
+
+    moderatedListings.reviews[businessId] = [...approved, review];
+    saveModeration();
+
+    state.businesses = state.businesses.map(business => business.id === businessId ? withPublishedReviews(business, [review]) : business);
+    refreshListings();
+}
+
+/**
+ * Keep the owner's edit history in step with the decision
+ */
+function setListingEditStatus(item, status) {
+    const edit = getListingEdits(item.payload.businessId).find(entry => entry.id === item.id);
+    if (!edit) return;
+
+    edit.status = status;
+    saveListingEdits();
+}
+
+function hideReview(businessId, review) {
+    if (!moderatedListings.hiddenReviews.includes(review.id)) {
+        moderatedListings.hiddenReviews.push(review.id);
+        saveModeration();
+    }
+
+    // A review written in this browser goes too, so its author can write a new one
+    if (localReviews[businessId]?.id === review.id) {
+        delete localReviews[businessId];
+        writeStorage('reviews', localReviews);
+    }
+
+    renderResultsPage();
+}
+
+function getModerationType(item) {
+    return MODERATION_TYPES[item.type] || { label: item.type, render: () => '' };
+}
+
+function getModerationSubject(item) {
+    if (item.type === 'new-business') return item.payload.business.name;
+    return getBusinessById(item.payload.businessId)?.name || item.payload.businessId;
+}
+
+/** Items still waiting for a final decision */
+function isModerationOpen(item) {
+    return item.status === 'pending' || item.status === 'escalated';
+}
+
+/**
+ * A listing field as a moderator reads it: descriptions in full, photos as thumbnails
+ */
+function renderModerationValue(field, value) {
+    if (field === 'photos') {
+        return value.length > 0
+            ? `<span class="moderation-photos">${value.map((src, index) => `<img src="${escapeHTML(src)}" alt="Photo ${index + 1}">`).join('')}</span>`
+            : 'None';
+    }
+
+    return escapeHTML(field === 'description' ? value || 'None' : describeOwnerField(field, value));
+}
+
+function renderNewListingSubmission(item) {
+    const { business, possibleDuplicates } = item.payload;
+    const rows = [
+        ['Category', renderModerationValue('category', business.category)],
+        ['Town', escapeHTML(business.town)],
+        ['Phone', escapeHTML(business.phone || 'None')],
+        ['Email', escapeHTML(business.email || 'None')],
+        ['Website', escapeHTML(business.website || 'None')],
+        ['Description', renderModerationValue('description', business.description)],
+        ['Services', renderModerationValue('services', business.services)],
+        ['Features', renderModerationValue('tags', business.tags)],
+        ['Ownership', renderModerationValue('ownership', business.ownership)],
+        ['Hours', renderModerationValue('hours', business.hours)],
+        ['Photos', renderModerationValue('photos', business.photos)]
+    ];
+
+    const duplicates = possibleDuplicates.map(({ id, reasons }) => {
+        const match = getBusinessById(id);
+        return match
+            ? `<li><a href="${getBusinessURL(match)}">${escapeHTML(match.name)}</a>: ${escapeHTML(reasons.join(', ').toLowerCase())}</li>`
+            : '';
+    }).join('');
+
+    return `
+        <dl class="moderation-details">
+            ${rows.map(([label, value]) => `<div><dt>${label}</dt><dd>${value}</dd></div>`).join('')}
+        </dl>
+        ${duplicates ? `
+            <div class="moderation-warning">
+                <p>The submitter was warned this might already be listed:</p>
+                <ul>${duplicates}</ul>
+            </div>
+        ` : ''}
+    `;
+}
+
+/**
+ * Side-by-side before and after for each changed field, noting any
+ * field the live listing has changed since the owner submitted
+ */
+function renderListingEditDiff(item) {
+    const business = getBusinessById(item.payload.businessId);
+    if (!business) return '<p class="detail-muted">This listing is no longer in the directory.</p>';
+
+    const live = getListingFields(business);
+    const open = isModerationOpen(item);
+    const rows = Object.entries(item.payload.changes).map(([field, { from, to }]) => `
+        <tr>
+            <th scope="row">${escapeHTML(OWNER_FIELD_LABELS[field] || field)}</th>
+            <td class="moderation-diff-from">
+                ${renderModerationValue(field, from)}
+                ${open && JSON.stringify(live[field]) !== JSON.stringify(from) ? '<p class="moderation-diff-note">The live listing has changed since this was submitted.</p>' : ''}
+            </td>
+            <td class="moderation-diff-to">${renderModerationValue(field, to)}</td>
+        </tr>
+    `).join('');
+
+    return `
+        ${item.payload.revertOf ? '<p class="owner-history-note">The owner is undoing an earlier edit.</p>' : ''}
+        <div class="moderation-diff-wrap">
+            <table class="moderation-diff">
+                <caption class="visually-hidden">Changes proposed for ${escapeHTML(business.name)}</caption>
+                <thead>
+                    <tr><th scope="col">Field</th><th scope="col">Before</th><th scope="col">After</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+    `;
+}
+
+function renderClaimSubmission(item) {
+    const { method, document: upload } = item.payload;
+    const business = getBusinessById(item.payload.businessId);
+    const evidence = method === 'document'
+        ? 'Ownership document. The claim waits for this decision.'
+        : `Code sent to the listing's ${CLAIM_METHOD_LABELS[method] || method}. The claim took effect straight away; rejecting revokes it.`;
+
+    let preview = '';
+    if (upload?.dataURL) {
+        preview = upload.type.startsWith('image/')
+            ? `<img class="moderation-document" src="${escapeHTML(upload.dataURL)}" alt="Document sent for ${escapeHTML(business?.name || 'this listing')}">`
+            : `<a href="${escapeHTML(upload.dataURL)}" download="${escapeHTML(upload.name)}">Download ${escapeHTML(upload.name)}</a>`;
+    }
+
+    return `
+        <dl class="moderation-details">
+            <div><dt>Verified by</dt><dd>${escapeHTML(evidence)}</dd></div>
+            ${upload ? `<div><dt>File</dt><dd>${escapeHTML(upload.name)} · ${formatFileSize(upload.size)}</dd></div>` : ''}
+        </dl>
+        ${preview}
+    `;
+}
+
+function renderModerationReview(review) {
+    return `
+        <blockquote class="moderation-review">
+            <p class="review-header">
+                <span class="review-author">${escapeHTML(review.author)}</span>
+                ${renderStars(review.rating)}
+                <span class="visually-hidden">${review.rating} out of 5 stars</span>
+                <time class="review-date" datetime="${escapeHTML(review.createdAt)}">${formatLongDate(review.createdAt)}</time>
+            </p>
+            <p>${escapeHTML(review.text)}</p>
+        </blockquote>
+    `;
+}
+
+function renderReviewFlag(item) {
+    return `
+        <p class="moderation-warning">Reported as: ${escapeHTML(REVIEW_REPORT_REASONS[item.payload.reason] || item.payload.reason)}</p>
+        ${renderModerationReview(item.payload.review)}
+    `;
+}
+
+function renderModerationItem(item) {
+    const type = getModerationType(item);
+    const titleId = `moderation-title-${item.id}`;
+    const reasonId = `moderation-reason-${item.id}`;
+    const decision = item.decidedBy
+        ? `<p class="moderation-decision">${MODERATION_STATUS_LABELS[item.status]} by ${escapeHTML(item.decidedBy)} on ${formatLongDate(item.decidedAt)}${item.reason ? `: ${escapeHTML(item.reason)}` : ''}</p>`
+        : '';
+
+    return `
+        <li class="moderation-item" data-item-id="${escapeHTML(item.id)}">
+            <div class="moderation-header">
+                <span class="card-category">${escapeHTML(type.label)}</span>
+                <span class="owner-status owner-status--${item.status}">${MODERATION_STATUS_LABELS[item.status]}</span>
+            </div>
+            <h2 class="moderation-title" id="${escapeHTML(titleId)}" tabindex="-1">${escapeHTML(getModerationSubject(item))}</h2>
+            <p class="moderation-meta">Submitted <time datetime="${escapeHTML(item.submittedAt)}">${formatLongDate(item.submittedAt)}</time></p>
+            ${type.render(item)}
+            ${decision}
+            ${isModerationOpen(item) ? `
+                <div class="moderation-actions" role="group" aria-labelledby="${escapeHTML(titleId)}">
+                    <div class="form-group">
+                        <label for="${escapeHTML(reasonId)}" class="form-label">Reason or note</label>
+                        <textarea id="${escapeHTML(reasonId)}" class="form-textarea moderation-reason" maxlength="500" aria-describedby="${escapeHTML(reasonId)}-hint"></textarea>
+                        <p class="form-hint" id="${escapeHTML(reasonId)}-hint">Required to reject. Saved in the audit log.</p>
+                    </div>
+                    <div class="moderation-buttons">
+                        <button type="button" class="btn btn-primary" data-decision="approve">${type.approveLabel || 'Approve'}</button>
+                        <button type="button" class="btn btn-secondary" data-decision="reject">${type.rejectLabel || 'Reject'}</button>
+                        ${item.status === 'escalated' ? '' : '<button type="button" class="btn btn-secondary" data-decision="escalate">Escalate</button>'}
+                    </div>
+                </div>
+            ` : ''}
+        </li>
+    `;
+}
+
+function renderAdminHeader(title, current) {
+    const tabs = [
+        { name: 'queue', href: '#/admin', label: 'Queue' },
+        { name: 'audit', href: '#/admin/audit', label: 'Audit log' },
+        { name: 'analytics', href: '#/admin/analytics', label: 'Analytics' },
+        { name: 'data', href: '#/admin/data', label: 'Import & export' }
+    ];
+
+    return `
+        <a href="#/" class="detail-back" data-action="back">${ICONS.back}Back to listings</a>
+        <header class="owner-header">
+            <span class="card-category">Moderation</span>
+            <h1 class="detail-title" id="admin-title" tabindex="-1">${title}</h1>
+        </header>
+        <nav class="owner-tabs" aria-label="Moderation">
+            ${tabs.map(tab => `
+                <a href="${tab.href}" class="owner-tab"${tab.name === current ? ' aria-current="page"' : ''}>
+                    ${tab.label}${tab.name === 'queue' ? ' <span class="owner-tab-count" id="moderation-open-count" hidden></span>' : ''}
+                </a>
+            `).join('')}
+        </nav>
+    `;
+}
+
+function renderTypeOptions() {
+    return Object.entries(MODERATION_TYPES)
+        .map(([value, { label }]) => `<option value="${value}">${label}</option>`)
+        .join('');
+}
+
+async function updateOpenCount() {
+    try {
+        const open = (await getReviewQueue()).filter(isModerationOpen).length;
+        const badge = $('#moderation-open-count');
+        if (!badge) return;
+
+        badge.textContent = `${open} open`;
+        badge.hidden = open === 0;
+    } catch (error) {
+        // Queue unavailable; leave the tab without a count
+    }
+}
+
+/**
+ * Items matching the queue's filters: open ones oldest first, then
+ * decided ones most recent first
+ */
+function getFilteredModerationItems() {
+    const status = $('#moderation-status-filter').value;
+    const type = $('#moderation-type-filter').value;
+    const items = moderationItems.filter(item => {
+        if (type && item.type !== type) return false;
+        if (status === 'open') return isModerationOpen(item);
+        return !status || item.status === status;
+    });
+
+    return [
+        ...items.filter(isModerationOpen).sort((a, b) => a.submittedAt.localeCompare(b.submittedAt)),
+        ...items.filter(item => !isModerationOpen(item)).sort((a, b) => (b.decidedAt || '').localeCompare(a.decidedAt || ''))
+    ];
+}
+
+function renderModerationList() {
+    const items = getFilteredModerationItems();
+    const open = moderationItems.filter(isModerationOpen).length;
+
+    $('#moderation-list').innerHTML = items.length > 0
+        ? items.map(renderModerationItem).join('')
+        : `<li class="detail-muted">${moderationItems.length === 0 ? 'Nothing has been submitted yet.' : 'No items match these filters.'}</li>`;
+    $('#moderation-count').textContent = moderationItems.length === 0
+        ? ''
+        : `Showing ${items.length} of ${moderationItems.length} ${moderationItems.length === 1 ? 'item' : 'items'}, ${open} open`;
+    updateOpenCount();
+}
+
+async function showModerationQueue() {
+    moderationItems = [];
+
+    const statuses = Object.entries(MODERATION_STATUS_LABELS)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`)
+        .join('');
+
+    elements.adminView.innerHTML = `
+        ${renderAdminHeader('Moderation queue', 'queue')}
+        <div class="owner-main moderation-panel">
+            <div class="moderation-toolbar">
+                <div class="form-group">
+                    <label for="moderator-name" class="form-label">Your name</label>
+                    <input type="text" id="moderator-name" class="form-input" autocomplete="name" value="${escapeHTML(readStorage('moderator', ''))}" aria-describedby="moderator-name-hint">
+                    <p class="form-hint" id="moderator-name-hint">Recorded with every decision you make.</p>
+                </div>
+                <div class="form-group">
+                    <label for="moderation-status-filter" class="form-label">Status</label>
+                    <select id="moderation-status-filter" class="form-select">
+                        <option value="open">Pending and escalated</option>
+                        ${statuses}
+                        <option value="">All</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="moderation-type-filter" class="form-label">Type</label>
+                    <select id="moderation-type-filter" class="form-select"><option value="">All types</option>${renderTypeOptions()}</select>
+                </div>
+            </div>
+            <p class="lead-count" id="moderation-count" role="status"></p>
+            <ol class="moderation-list" id="moderation-list" aria-labelledby="admin-title"></ol>
+        </div>
+    `;
+
+    document.title = 'Moderation queue | Rocky Top Business Directory';
+    showView('admin');
+    window.scrollTo(0, 0);
+    $('#admin-title').focus();
+
+    const route = currentRoute;
+
+    try {
+        moderationItems = await getReviewQueue();
+        if (currentRoute !== route) return;
+        renderModerationList();
+    } catch (error) {
+        if (currentRoute !== route) return;
+        console.error('Moderation queue unavailable:', error);
+        $('#moderation-list').innerHTML = '<li class="form-error">The queue couldn\'t be opened in this browser.</li>';
+    }
+}
+
+/**
+ * Save the queue item and its audit entry in one transaction, so neither
+ * is written without the other. Audit entries are only ever added.
+ */
+async function recordModerationDecision(item, entry) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([REVIEW_QUEUE_STORE, AUDIT_LOG_STORE], 'readwrite');
+        transaction.objectStore(REVIEW_QUEUE_STORE).put(item);
+        transaction.objectStore(AUDIT_LOG_STORE).add(entry);
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+async function handleModerationDecision(button) {
+    if (!canModerate()) return;
+
+    const element = button.closest('.moderation-item');
+    const item = moderationItems.find(entry => entry.id === element.dataset.itemId);
+    const decision = button.dataset.decision;
+    const actorField = $('#moderator-name');
+    const reasonField = element.querySelector('.moderation-reason');
+    const actor = actorField.value.trim();
+    const reason = reasonField.value.trim();
+
+    clearFieldError(actorField);
+    clearFieldError(reasonField);
+
+    if (!actor) {
+        showFieldError(actorField, 'Enter your name so the decision can be recorded.');
+        actorField.focus();
+        return;
+    }
+
+    if (decision === 'reject' && !reason) {
+        showFieldError(reasonField, 'Give a reason for rejecting.');
+        reasonField.focus();
+        return;
+    }
+
+    const status = MODERATION_DECISIONS[decision];
+    const at = new Date().toISOString();
+    const updated = { ...item, status, decidedAt: at, decidedBy: actor, reason };
+    const entry = {
+        id: createId(),
+        at,
+        actor,
+        action: status,
+        itemId: item.id,
+        itemType: item.type,
+        subject: getModerationSubject(item),
+        reason
+    };
+    const position = getFilteredModerationItems().indexOf(item);
+
+    element.querySelectorAll('[data-decision]').forEach(btn => {
+        btn.disabled = true;
+    });
+
+    try {
+        await recordModerationDecision(updated, entry);
+    } catch (error) {
+        console.error('Decision could not be recorded:', error);
+        showFieldError(reasonField, 'The decision couldn\'t be saved. Please try again.');
+        element.querySelectorAll('[data-decision]').forEach(btn => {
+            btn.disabled = false;
+        });
+        return;
+    }
+
+    if (status !== 'escalated') {
+        getModerationType(item)[decision]?.(item);
+    }
+
+    moderationItems = moderationItems.map(entry => entry.id === item.id ? updated : entry);
+    renderModerationList();
+
+    // Move on to whatever now sits where the decided item was
+    const titles = $$('.moderation-title');
+    (titles[position] || titles[titles.length - 1] || $('#admin-title')).focus();
+    announceToScreenReader(`${entry.subject}: ${MODERATION_STATUS_LABELS[status].toLowerCase()}.`);
+}
+
+// ---- Audit log ----
+
+async function getAuditEntries() {
+    const entries = await withStore(AUDIT_LOG_STORE, 'readonly', store => store.getAll());
+    return entries.sort((a, b) => b.at.localeCompare(a.at));
+}
+
+function getFilteredAuditEntries() {
+    const terms = tokenize($('#audit-search').value);
+    const action = $('#audit-action-filter').value;
+    const type = $('#audit-type-filter').value;
+
+    return auditEntries.filter(entry => {
+        if (action && entry.action !== action) return false;
+        if (type && entry.itemType !== type) return false;
+
+        const text = tokenize(`${entry.actor} ${entry.subject} ${entry.reason}`).join(' ');
+        return terms.every(term => text.includes(term));
+    });
+}
+
+function formatAuditTime(at) {
+    return new Date(at).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short', timeZone: DIRECTORY_TIME_ZONE });
+}
+
+function renderAuditLog() {
+    const entries = getFilteredAuditEntries();
+
+    $('#audit-export').disabled = entries.length === 0;
+    $('#audit-rows').innerHTML = entries.length > 0
+        ? entries.map(entry => `
+            <tr>
+                <td><time datetime="${escapeHTML(entry.at)}">${escapeHTML(formatAuditTime(entry.at))}</time></td>
+                <td>${escapeHTML(entry.actor)}</td>
+                <td><span class="owner-status owner-status--${entry.action}">${AUDIT_ACTION_LABELS[entry.action]}</span></td>
+                <td>${escapeHTML(AUDIT_TYPE_LABELS[entry.itemType] || entry.itemType)}</td>
+                <td>${escapeHTML(entry.subject)}</td>
+                <td>${escapeHTML(entry.reason)}</td>
+            </tr>
+        `).join('')
+        : `<tr><td colspan="6" class="detail-muted">${auditEntries.length === 0 ? 'No decisions have been recorded yet.' : 'No decisions match these filters.'}</td></tr>`;
+    $('#audit-count').textContent = auditEntries.length === 0
+        ? ''
+        : `Showing ${entries.length} of ${auditEntries.length} ${auditEntries.length === 1 ? 'decision' : 'decisions'}`;
+}
+
+async function showAuditLog() {
+    auditEntries = [];
+
+    const actions = [...Object.values(MODERATION_DECISIONS), 'imported']
+        .map(value => `<option value="${value}">${AUDIT_ACTION_LABELS[value]}</option>`)
+        .join('');
+    const types = Object.entries(AUDIT_TYPE_LABELS)
+        .map(([value, label]) => `<option value="${value}">${label}</option>`)
+        .join('');
+
+    elements.adminView.innerHTML = `
+        ${renderAdminHeader('Audit log', 'audit')}
+        <div class="owner-main moderation-panel">
+            <div class="lead-toolbar" role="search" aria-label="Filter the audit log">
+                <label class="visually-hidden" for="audit-search">Search the audit log</label>
+                <input type="search" id="audit-search" class="form-input" placeholder="Search moderator, listing or reason">
+                <label class="visually-hidden" for="audit-action-filter">Decision</label>
+                <select id="audit-action-filter" class="form-select"><option value="">All decisions</option>${actions}</select>
+                <label class="visually-hidden" for="audit-type-filter">Type</label>
+                <select id="audit-type-filter" class="form-select"><option value="">All types</option>${types}</select>
+                <button type="button" class="btn btn-secondary" id="audit-export" data-action="export-audit" disabled>Export CSV</button>
+            </div>
+            <p class="lead-count" id="audit-count" role="status"></p>
+            <div class="moderation-diff-wrap">
+                <table class="audit-table">
+                    <caption class="visually-hidden">Moderation decisions, newest first</caption>
+                    <thead>
+                        <tr>
+                            <th scope="col">When</th>
+                            <th scope="col">Moderator</th>
+                            <th scope="col">Decision</th>
+                            <th scope="col">Type</th>
+                            <th scope="col">Item</th>
+                            <th scope="col">Reason or note</th>
+                        </tr>
+                    </thead>
+                    <tbody id="audit-rows"></tbody>
+                </table>
+            </div>
+        </div>
+    `;
+
+    document.title = 'Audit log | Rocky Top Business Directory';
+    showView('admin');
+    window.scrollTo(0, 0);
+    $('#admin-title').focus();
+    updateOpenCount();
+
+    const route = currentRoute;
+
+    try {
+        auditEntries = await getAuditEntries();
+        if (currentRoute !== route) return;
+        renderAuditLog();
+    } catch (error) {
+        if (currentRoute !== route) return;
+        console.error('Audit log unavailable:', error);
+        $('#audit-rows').innerHTML = '<tr><td colspan="6" class="form-error">The audit log couldn\'t be opened in this browser.</td></tr>';
+    }
+}
+
+function exportAuditCSV() {
+    const rows = getFilteredAuditEntries().map(entry => [
+        entry.at,
+        entry.actor,
+        AUDIT_ACTION_LABELS[entry.action],
+        AUDIT_TYPE_LABELS[entry.itemType] || entry.itemType,
+        entry.subject,
+        entry.reason,
+        entry.ids ? entry.ids.join(' ') : entry.itemId
+    ]);
+    const csv = toCSV([['Time', 'Moderator', 'Decision', 'Type', 'Item', 'Reason or note', 'Item ID'], ...rows]);
+
+    downloadFile(`audit-log-${getZonedTime().date}.csv`, csv, 'text/csv;charset=utf-8');
+    announceToScreenReader(`Exported ${rows.length} ${rows.length === 1 ? 'decision' : 'decisions'}.`);
+}
+
+function handleAdminClick(e) {
+    const decisionBtn = e.target.closest('[data-decision]');
+
+    if (e.target.closest('[data-action="back"]')) {
+        e.preventDefault();
+        navigateToDirectory();
+    } else if (decisionBtn) {
+        handleModerationDecision(decisionBtn);
+    } else if (e.target.closest('[data-action="export-audit"]')) {
+        exportAuditCSV();
+    } else if (e.target.closest('[data-action="export-csv"]')) {
+        exportListings('csv');
+    } else if (e.target.closest('[data-action="export-json"]')) {
+        exportListings('json');
+    } else if (e.target.closest('[data-action="commit-import"]')) {
+        commitImport();
+    } else if (e.target.closest('[data-action="reset-import"]')) {
+        $('#import-file').value = '';
+        handleImportFile($('#import-file'));
+        $('#import-file').focus();
+    }
+}
+
+function handleAdminChange(e) {
+    const field = e.target;
+
+    if (field.id === 'moderator-name') {
+        writeStorage('moderator', field.value.trim());
+    } else if (field.id === 'moderation-status-filter' || field.id === 'moderation-type-filter') {
+        renderModerationList();
+    } else if (field.id === 'audit-action-filter' || field.id === 'audit-type-filter') {
+        renderAuditLog();
+    } else if (field.id === 'analytics-period') {
+        renderAnalyticsDashboard();
+    } else if (field.id === 'import-file') {
+        handleImportFile(field);
+    } else if (field.dataset.importColumn) {
+        importMapping[Number(field.dataset.importColumn)] = field.value;
+        runImportCheck();
+    } else if (field.dataset.importRow) {
+        importReport[Number(field.dataset.importRow)].include = field.checked;
+        updateImportButton();
+    }
+}
+
+function handleAdminInput(e) {
+    const field = e.target;
+
+    if (field.id === 'audit-search') {
+        renderAuditLog();
+    } else if (field.getAttribute('aria-invalid') === 'true' && field.value.trim()) {
+        clearFieldError(field);
+    }
+}
+
+// ========================================
+// Usage Dashboard
+// ========================================
+
+/** Periods the dashboards can show, in days */
+const ANALYTICS_PERIODS = [7, 30, 90];
+
+const CLAIM_STEP_LABELS = {
+    1: 'Opened the claim wizard',
+    2: 'Chose a listing',
+    3: 'Chose how to verify',
+    4: 'Finished'
+};
+
+let analyticsEvents = [];
+let statsBusiness = null;
+
+function getEventsInPeriod(events) {
+    const days = Number($('#analytics-period').value);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    return events.filter(event => event.at >= since);
+}
+
+function createBusinessStats() {
+    return { views: 0, contactOpens: 0, leads: 0, saves: 0 };
+}
+
+/**
+ * Tally events into what the dashboards show: searches by query (with
+ * the result count from the latest run), per-business activity, filter
+ * choices, and how many claims reached each wizard step
+ */
+function summarizeAnalytics(events) {
+    const searches = new Map();
+    const businesses = new Map();
+    const categories = new Map();
+    const tags = new Map();
+    const claimSteps = new Map();
+    const increment = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+    const statsFor = id => {
+        if (!businesses.has(id)) businesses.set(id, createBusinessStats());
+        return businesses.get(id);
+    };
+
+    events.forEach(event => {
+        switch (event.type) {
+            case 'search': {
+                const entry = searches.get(event.query) || { query: event.query, count: 0, zeroCount: 0, results: 0, lastAt: '' };
+                entry.count++;
+                if (event.results === 0) entry.zeroCount++;
+                if (event.at >= entry.lastAt) {
+                    entry.results = event.results;
+                    entry.lastAt = event.at;
+                }
+                searches.set(event.query, entry);
+                break;
+            }
+            case 'business-view':
+                statsFor(event.businessId).views++;
+                break;
+            case 'contact-open':
+                statsFor(event.businessId).contactOpens++;
+                break;
+            case 'contact-submit':
+                // Leads held as suspected spam never reach the owner
+                if (event.outcome !== 'held') statsFor(event.businessId).leads++;
+                break;
+            case 'favorite':
+                if (event.saved) statsFor(event.businessId).saves++;
+                break;
+            case 'category':
+                increment(categories, event.category);
+                break;
+            case 'tag':
+                increment(tags, event.tag);
+                break;
+            case 'claim-step':
+                increment(claimSteps, event.step);
+                break;
+        }
+    });
+
+    const queries = [...searches.values()];
+
+    return {
+        searchCount: queries.reduce((sum, entry) => sum + entry.count, 0),
+        topSearches: queries.sort((a, b) => b.count - a.count || a.query.localeCompare(b.query)).slice(0, 20),
+        zeroResultSearches: queries
+            .filter(entry => entry.zeroCount > 0)
+            .sort((a, b) => b.zeroCount - a.zeroCount || a.query.localeCompare(b.query))
+            .slice(0, 20),
+        businesses,
+        categories: [...categories].sort((a, b) => b[1] - a[1]),
+        tags: [...tags].sort((a, b) => b[1] - a[1]),
+        claimSteps
+    };
+}
+
+function renderAnalyticsToolbar() {
+    const periods = ANALYTICS_PERIODS
+        .map(days => `<option value="${days}"${days === 30 ? ' selected' : ''}>Last ${days} days</option>`)
+        .join('');
+
+    return `
+        <div class="analytics-toolbar">
+            <label for="analytics-period" class="form-label">Period</label>
+            <select id="analytics-period" class="form-select">${periods}</select>
+        </div>
+        <p class="form-hint">
+            Counts come from visitors who haven't turned on Do Not Track or Global Privacy Control, and no visitor is identified.
+            ${isTrackingAllowed() ? '' : 'Your browser has it on, so your own visits aren\'t counted.'}
+        </p>
+    `;
+}
+
+function renderAnalyticsTiles(tiles) {
+    return `
+        <dl class="analytics-stats">
+            ${tiles.map(([label, value]) => `<div><dt>${label}</dt><dd>${value.toLocaleString('en-US')}</dd></div>`).join('')}
+        </dl>
+    `;
+}
+
+/**
+ * A titled table of already-escaped cells, or a note when there's nothing to show
+ */
+function renderAnalyticsTable(id, title, headings, rows, emptyText) {
+    const table = rows.length > 0
+        ? `
+            <div class="moderation-diff-wrap">
+                <table class="analytics-table" aria-labelledby="${id}">
+                    <thead><tr>${headings.map(heading => `<th scope="col">${heading}</th>`).join('')}</tr></thead>
+                    <tbody>${rows.map(cells => `<tr>${cells.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody>
+                </table>
+            </div>
+        `
+        : `<p class="detail-muted">${emptyText}</p>`;
+
+    return `
+        <section class="analytics-panel">
+            <h2 class="detail-section-title" id="${id}">${title}</h2>
+            ${table}
+        </section>
+    `;
+}
+
+function renderClaimFunnel(claimSteps) {
+    const steps = Object.keys(CLAIM_STEP_LABELS).map(Number);
+    const rows = claimSteps.size === 0 ? [] : steps.map((step, index) => {
+        const reached = claimSteps.get(step) || 0;
+        const next = index < steps.length - 1 ? claimSteps.get(steps[index + 1]) || 0 : null;
+        const dropped = next === null || reached === 0
+            ? '–'
+            : `${reached - next} (${Math.round(((reached - next) / reached) * 100)}%)`;
+        return [CLAIM_STEP_LABELS[step], reached, dropped];
+    });
+
+    return renderAnalyticsTable('analytics-claims', 'Claim wizard drop-off', ['Step', 'Reached', 'Left before the next step'], rows, 'Nobody has started a claim in this period.');
+}
+
+function renderAnalyticsDashboard() {
+    const summary = summarizeAnalytics(getEventsInPeriod(analyticsEvents));
+    const totals = [...summary.businesses.values()].reduce((sum, stats) => ({
+        views: sum.views + stats.views,
+        leads: sum.leads + stats.leads
+    }), { views: 0, leads: 0 });
+
+    const businessRows = [...summary.businesses]
+        .map(([id, stats]) => ({ business: getBusinessById(id), stats }))
+        .filter(({ business }) => business)
+        .sort((a, b) => b.stats.views - a.stats.views || b.stats.leads - a.stats.leads)
+        .map(({ business, stats }) => [
+            `<a href="${getBusinessURL(business)}">${escapeHTML(business.name)}</a>`,
+            stats.views,
+            stats.contactOpens,
+            stats.leads,
+            stats.saves
+        ]);
+
+    $('#analytics-results').innerHTML = `
+        ${renderAnalyticsTiles([
+            ['Searches', summary.searchCount],
+            ['Searches that found nothing', summary.zeroResultSearches.reduce((sum, entry) => sum + entry.zeroCount, 0)],
+            ['Listing views', totals.views],
+            ['Leads', totals.leads]
+        ])}
+        <div class="analytics-grid">
+            ${renderAnalyticsTable('analytics-top-searches', 'Top searches', ['Search', 'Times', 'Results'],
+                summary.topSearches.map(entry => [escapeHTML(entry.query), entry.count, entry.results]),
+                'No searches in this period.')}
+            ${renderAnalyticsTable('analytics-zero-searches', 'Searches that found nothing', ['Search', 'Times'],
+                summary.zeroResultSearches.map(entry => [escapeHTML(entry.query), entry.zeroCount]),
+                'Every search found something.')}
+        </div>
+        ${renderAnalyticsTable('analytics-businesses', 'Businesses', ['Business', 'Views', 'Contact opened', 'Leads', 'Saves'],
+            businessRows, 'No listing activity in this period.')}
+        <div class="analytics-grid">
+            ${renderAnalyticsTable('analytics-categories', 'Categories chosen', ['Category', 'Times'],
+                summary.categories.map(([category, count]) => [escapeHTML(CATEGORY_LABELS[category] || category), count]),
+                'No categories chosen in this period.')}
+            ${renderAnalyticsTable('analytics-tags', 'Features chosen', ['Feature', 'Times'],
+                summary.tags.map(([tag, count]) => [escapeHTML(formatTagLabel(tag)), count]),
+                'No features chosen in this period.')}
+        </div>
+        ${renderClaimFunnel(summary.claimSteps)}
+    `;
+}
+
+async function showAnalyticsDashboard() {
+    analyticsEvents = [];
+
+    elements.adminView.innerHTML = `
+        ${renderAdminHeader('Usage analytics', 'analytics')}
+        <div class="owner-main analytics-dashboard">
+            ${renderAnalyticsToolbar()}
+            <div id="analytics-results"></div>
+        </div>
+    `;
+
+    document.title = 'Usage analytics | Rocky Top Business Directory';
+    showView('admin');
+    window.scrollTo(0, 0);
+    $('#admin-title').focus();
+    updateOpenCount();
+
+    const route = currentRoute;
+
+    try {
+        analyticsEvents = await getAnalyticsEvents();
+        if (currentRoute !== route) return;
+        renderAnalyticsDashboard();
+    } catch (error) {
+        if (currentRoute !== route) return;
+        console.error('Analytics unavailable:', error);
+        $('#analytics-results').innerHTML = '<p class="form-error">Usage numbers couldn\'t be loaded in this browser.</p>';
+    }
+}
+
+function renderOwnerStats() {
+    const stats = summarizeAnalytics(getEventsInPeriod(analyticsEvents)).businesses.get(statsBusiness.id) || createBusinessStats();
+
+    $('#analytics-results').innerHTML = renderAnalyticsTiles([
+        ['Listing views', stats.views],
+        ['Contact form opened', stats.contactOpens],
+        ['Messages sent', stats.leads],
+        ['Saved to favorites', stats.saves]
+    ]);
+}
+
+async function showOwnerStats(id) {
+    const business = getBusinessById(id);
+
+    if (!business || !isListingOwner(business)) {
+        showOwnerDashboard(id);
+        return;
+    }
+
+    statsBusiness = business;
+    analyticsEvents = [];
+
+    elements.ownerDashboard.innerHTML = `
+        ${renderOwnerHeader(business)}
+        ${renderOwnerTabs(business, 'stats')}
+        <div class="owner-main analytics-dashboard">
+            ${renderAnalyticsToolbar()}
+            <div id="analytics-results"></div>
+        </div>
+    `;
+
+    document.title = `Stats: ${business.name} | Rocky Top Business Directory`;
+    showView('owner');
+    window.scrollTo(0, 0);
+    $('#owner-title').focus();
+    updateUnreadCount(business.id);
+
+    const route = currentRoute;
+
+    try {
+        analyticsEvents = await getAnalyticsEvents();
+        if (currentRoute !== route) return;
+        renderOwnerStats();
+    } catch (error) {
+        if (currentRoute !== route) return;
+        console.error('Analytics unavailable:', error);
+        $('#analytics-results').innerHTML = '<p class="form-error">Your numbers couldn\'t be loaded in this browser.</p>';
+    }
+}
+
+function handleOwnerStatsChange(e) {
+    if (e.target.id === 'analytics-period') renderOwnerStats();
+}
+
+// ========================================
+// Import & Export
+// ========================================
+
+const IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+
+const IMPORT_FILE_TYPES = {
+    'text/csv': 'CSV',
+    'application/vnd.ms-excel': 'CSV',
+    'application/json': 'JSON'
+};
+
+/**
+ * Listing fields an import can fill. Column headings are matched against
+ * `aliases` ignoring case, spaces and punctuation; `json` fields hold the
+ * nested values of an exported JSON file.
+ */
+const IMPORT_FIELDS = {
+    id: { label: 'ID', aliases: ['id', 'slug'] },
+    name: { label: 'Name', aliases: ['name', 'businessname', 'business'] },
+    category: { label: 'Category', aliases: ['category'] },
+    town: { label: 'Town', aliases: ['town', 'city'] },
+    address: { label: 'Address', aliases: ['address', 'streetaddress'] },
+    phone: { label: 'Phone', aliases: ['phone', 'phonenumber', 'telephone'] },
+    email: { label: 'Email', aliases: ['email', 'emailaddress'] },
+    website: { label: 'Website', aliases: ['website', 'url', 'web'] },
+    description: { label: 'Description', aliases: ['description', 'about'] },
+    services: { label: 'Services', aliases: ['services'] },
+    tags: { label: 'Features', aliases: ['tags', 'features'] },
+    women: { label: 'Women-owned', aliases: ['women', 'womenowned'] },
+    veteran: { label: 'Veteran-owned', aliases: ['veteran', 'veteranowned'] },
+    ownership: { label: 'Ownership', aliases: ['ownership'], json: true },
+    lat: { label: 'Latitude', aliases: ['lat', 'latitude'] },
+    lng: { label: 'Longitude', aliases: ['lng', 'lon', 'long', 'longitude'] },
+    location: { label: 'Location', aliases: ['location'], json: true },
+    ...Object.fromEntries(WEEK_DAYS.map(({ key, label }) => [key, { label: `${label} hours`, aliases: [key, label.toLowerCase()] }])),
+    byAppointment: { label: 'By appointment', aliases: ['byappointment', 'appointment'] },
+    hours: { label: 'Hours', aliases: ['hours'], json: true },
+    photos: { label: 'Photos', aliases: ['photos', 'images'] },
+    claimStatus: { label: 'Claim status', aliases: ['claimstatus'] },
+    createdAt: { label: 'Listed on', aliases: ['createdat', 'listedon'] },
+    placements: { label: 'Featured placements', aliases: ['placements'], json: true },
+    reviews: { label: 'Reviews', aliases: ['reviews'], json: true }
+};
+
+const IMPORT_STATUS_LABELS = {
+    new: 'New',
+    update: 'Update',
+    duplicate: 'Possible duplicate',
+    unchanged: 'No change',
+    invalid: 'Problem'
+};
+
+const IMPORT_TIME = /^([01]?\d|2[0-3]):[0-5]\d$|^24:00$/;
+
+/**
+ * CSV export columns: each heading maps back to its field on import.
+ * Lists are comma-separated and photos space-separated; days with hours
+ * read like "08:30-12:00, 13:00-17:00" or "closed".
+ */
+const EXPORT_CSV_COLUMNS = [
+    ['id', business => business.id],
+    ['name', business => business.name],
+    ['category', business => business.category],
+    ['town', business => business.town],
+    ['address', business => business.address],
+    ['phone', business => business.phone],
+    ['email', business => business.email],
+    ['website', business => business.website],
+    ['description', business => business.description],
+    ['services', business => business.services.join(', ')],
+    ['tags', business => business.tags.filter(tag => tag !== OPEN_24_HOURS_TAG).join(', ')],
+    ['women', business => business.ownership.women ? 'yes' : 'no'],
+    ['veteran', business => business.ownership.veteran ? 'yes' : 'no'],
+    ['lat', business => business.location?.lat ?? ''],
+    ['lng', business => business.location?.lng ?? ''],
+    ...WEEK_DAYS.map(({ key }) => [key, business => business.hours ? formatImportDay(business.hours.weekly[key]) : '']),
+    ['by_appointment', business => business.hours?.byAppointment ? 'yes' : 'no'],
+    ['photos', business => business.photos.join(' ')],
+    ['claim_status', business => business.claimStatus],
+    ['created_at', business => business.createdAt]
+];
+
+let importColumns = [];
+let importRows = [];
+let importMapping = [];
+let importReport = [];
+let importFileName = '';
+
+function formatImportDay(ranges) {
+    return ranges && ranges.length > 0
+        ? ranges.map(range => `${range.open}-${range.close}`).join(', ')
+        : 'closed';
+}
+
+/**
+ * A listing as a data file record: the model without the flags
+ * applySchedules works out, or the 24-hour tag worked out from hours
+ */
+function toListingRecord(business) {
+    const { isNew, featured, ...record } = business;
+    return { ...record, tags: business.tags.filter(tag => tag !== OPEN_24_HOURS_TAG) };
+}
+
+function exportListings(format) {
+    const date = getZonedTime().date;
+    const count = state.businesses.length;
+
+    if (format === 'json') {
+        const json = JSON.stringify({ businesses: state.businesses.map(toListingRecord) }, null, 4);
+        downloadFile(`businesses-${date}.json`, `${json}\n`, 'application/json');
+    } else {
+        const rows = state.businesses.map(business => EXPORT_CSV_COLUMNS.map(([, getValue]) => getValue(business)));
+        downloadFile(`businesses-${date}.csv`, toCSV([EXPORT_CSV_COLUMNS.map(([heading]) => heading), ...rows]), 'text/csv;charset=utf-8');
+    }
+
+    announceToScreenReader(`Exported ${count} ${count === 1 ? 'listing' : 'listings'}.`);
+}
+
+function normalizeHeading(heading) {
+    return normalizeText(String(heading)).replace(/[^a-z0-9]/g, '');
+}
+
+function guessImportField(heading) {
+    const key = normalizeHeading(heading);
+    return Object.keys(IMPORT_FIELDS).find(field => IMPORT_FIELDS[field].aliases.includes(key)) || '';
+}
+
+/**
+ * Turn file text into columns and rows of cells. JSON can be a bare array
+ * or { businesses: [...] }, like the listing data; its keys become columns.
+ */
+function parseImportFile(text, format) {
+    if (format === 'CSV') {
+        const [headings = [], ...rows] = parseCSV(text);
+        return { columns: headings.map(heading => heading.trim()), rows };
+    }
+
+    const data = JSON.parse(text);
+    const records = (Array.isArray(data) ? data : data?.businesses || [])
+        .filter(record => record && typeof record === 'object' && !Array.isArray(record));
+    const columns = [...new Set(records.flatMap(record => Object.keys(record)))];
+
+    return { columns, rows: records.map(record => columns.map(column => record[column])) };
+}
+
+function getImportText(value) {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value).trim();
+}
+
+function getImportList(value, separator = /[,;\n]/) {
+    const items = Array.isArray(value) ? value : getImportText(value).split(separator);
+    return items.map(getImportText).filter(Boolean);
+}
+
+/**
+ * true or false for yes/no style cells, null when it's neither
+ */
+function parseImportFlag(value) {
+    if (typeof value === 'boolean') return value;
+
+    const text = normalizeText(getImportText(value));
+    if (['yes', 'y', 'true', '1', 'x'].includes(text)) return true;
+    if (['', 'no', 'n', 'false', '0'].includes(text)) return false;
+    return null;
+}
+
+/**
+ * Nested values arrive as objects from JSON or as JSON text from CSV;
+ * undefined when the text isn't valid JSON
+ */
+function parseImportObject(value) {
+    if (typeof value === 'object') return value;
+
+    try {
+        return JSON.parse(getImportText(value));
+    } catch (error) {
+        return undefined;
+    }
+}
+
+/**
+ * Opening ranges for one day, from "09:00-17:00, 18:00-21:00", "closed"
+ * or a JSON array of { open, close }; null when they don't parse
+ */
+function parseImportDay(value) {
+    const padTime = time => time.padStart(5, '0');
+    const isRange = range => range && IMPORT_TIME.test(range.open) && IMPORT_TIME.test(range.close) && range.open !== range.close;
+
+    if (Array.isArray(value)) {
+        const ranges = value.map(range => range && { open: padTime(String(range.open)), close: padTime(String(range.close)) });
+        return ranges.every(isRange) ? ranges : null;
+    }
+
+    const text = normalizeText(getImportText(value));
+    if (text === 'closed') return [];
+
+    const ranges = text.split(/\s*,\s*/).map(range => {
+        const [open = '', close = ''] = range.split(/\s*[-–]\s*/);
+        return { open: padTime(open), close: padTime(close) };
+    });
+    return ranges.every(isRange) ? ranges : null;
+}
+
+function findImportCategory(text) {
+    const slug = slugify(text);
+    return Object.keys(CATEGORY_LABELS).find(key => key === slug || slugify(CATEGORY_LABELS[key]) === slug) || null;
+}
+
+function findImportTag(text, knownTags) {
+    const slug = slugify(text);
+    return [...knownTags].find(tag => tag === slug || slugify(formatTagLabel(tag)) === slug) || null;
+}
+
+/**
+ * Build a partial listing record from one row. Blank cells leave a field
+ * out, so an update only touches what the file fills in. Returns the
+ * record and a list of problems.
+ */
+function buildImportRecord(row, knownTags) {
+    const record = {};
+    const errors = [];
+    const weekly = {};
+    let byAppointment;
+    let lat = '';
+    let lng = '';
+
+    importMapping.forEach((field, index) => {
+        const value = row[index];
+        const text = getImportText(value);
+        const { label } = IMPORT_FIELDS[field] || {};
+
+        if (!field || text === '') return;
+
+        switch (field) {
+            case 'id':
+                record.id = slugify(text);
+                break;
+            case 'category':
+                record.category = findImportCategory(text);
+                if (!record.category) errors.push(`Unknown category "${text}".`);
+                break;
+            case 'phone':
+                if (!isValidPhone(text)) errors.push(`Phone "${text}" isn't a 10-digit US number.`);
+                record.phone = formatPhone(text);
+                break;
+            case 'email':
+                if (!EMAIL_PATTERN.test(text)) errors.push(`Email "${text}" isn't an email address.`);
+                record.email = text;
+                break;
+            case 'website':
+                if (!WEBSITE_PATTERN.test(text)) errors.push(`Website "${text}" isn't a web address.`);
+                record.website = text.replace(/^https?:\/\//i, '').replace(/\/$/, '');
+                break;
+            case 'services':
+                record.services = getImportList(value);
+                break;
+            case 'photos':
+                record.photos = getImportList(value, /\s+/);
+                break;
+            case 'tags':
+                record.tags = [];
+                getImportList(value).forEach(item => {
+                    const tag = findImportTag(item, knownTags);
+                    if (tag) record.tags.push(tag);
+                    else errors.push(`Unknown feature "${item}".`);
+                });
+                break;
+            case 'women':
+            case 'veteran': {
+                const flag = parseImportFlag(value);
+                if (flag === null) errors.push(`${label} should be yes or no, not "${text}".`);
+                else record.ownership = { ...record.ownership, [field]: flag };
+                break;
+            }
+            case 'byAppointment':
+                byAppointment = parseImportFlag(value);
+                if (byAppointment === null) errors.push(`${label} should be yes or no, not "${text}".`);
+                break;
+            case 'lat':
+                lat = text;
+                break;
+            case 'lng':
+                lng = text;
+                break;
+            case 'claimStatus':
+                if (text in CLAIM_STATUS_RANK) record.claimStatus = text;
+                else errors.push(`Claim status should be ${Object.keys(CLAIM_STATUS_RANK).join(', ')}, not "${text}".`);
+                break;
+            case 'createdAt':
+                if (ISO_DATE.test(text)) record.createdAt = text;
+                else errors.push(`${label} should be a date like 2026-10-01, not "${text}".`);
+                break;
+            default:
+                if (WEEK_DAYS.some(({ key }) => key === field)) {
+                    weekly[field] = parseImportDay(value);
+                    if (!weekly[field]) errors.push(`${label} should look like 09:00-17:00 or closed, not "${text}".`);
+                } else if (IMPORT_FIELDS[field].json) {
+                    const object = parseImportObject(value);
+                    if (object === undefined || typeof object !== 'object') {
+                        errors.push(`${label} isn't valid JSON.`);
+                    } else if (field === 'ownership') {
+                        record.ownership = { ...record.ownership, ...object };
+                    } else if (field === 'location') {
+                        lat = getImportText(object?.lat);
+                        lng = getImportText(object?.lng);
+                    } else if (field === 'hours') {
+                        Object.entries(object?.weekly || {}).forEach(([day, ranges]) => {
+                            weekly[day] = parseImportDay(ranges);
+                            if (!weekly[day]) errors.push(`${label} for ${day} should be a list of { open, close } times.`);
+                        });
+                        if (typeof object?.byAppointment === 'boolean') byAppointment = object.byAppointment;
+                        if (Array.isArray(object?.closures)) record.hours = { closures: object.closures };
+                    } else {
+                        record[field] = Array.isArray(object) ? object : [];
+                    }
+                } else {
+                    record[field] = text;
+                }
+        }
+    });
+
+    if (lat !== '' || lng !== '') {
+        const location = { lat: Number(lat), lng: Number(lng) };
+        if (lat === '' || lng === '') {
+            errors.push('Give both a latitude and a longitude.');
+        } else if (!(Math.abs(location.lat) <= 90 && Math.abs(location.lng) <= 180)) {
+            errors.push(`"${lat}, ${lng}" isn't a latitude and longitude.`);
+        } else {
+            record.location = location;
+        }
+    }
+
+    if (Object.keys(weekly).length > 0 || byAppointment !== undefined || record.hours) {
+        record.hours = { ...record.hours, weekly, byAppointment };
+    }
+
+    return { record, errors };
+}
+
+/**
+ * Fill in what a partial record leaves out from the listing it updates:
+ * ownership flags and days of the week the file didn't mention
+ */
+function completeImportRecord(record, existing) {
+    const fields = { ...record };
+
+    if (existing && record.ownership) {
+        fields.ownership = { ...existing.ownership, ...record.ownership };
+    }
+
+    if (record.hours) {
+        const current = existing?.hours || { weekly: {} };
+        fields.hours = buildOwnerHours(
+            { ...current.weekly, ...record.hours.weekly },
+            record.hours.byAppointment ?? current.byAppointment,
+            record.hours.closures || current.closures
+        );
+    }
+
+    return fields;
+}
+
+function getChangedImportFields(existing, fields) {
+    const before = { ...existing, ...getListingFields(existing) };
+    const updated = applyListingChanges(existing, fields);
+    const after = { ...updated, ...getListingFields(updated) };
+
+    return Object.keys(fields).filter(field => field !== 'id' && JSON.stringify(after[field]) !== JSON.stringify(before[field]));
+}
+
+/**
+ * Dry run: work out what every row would do without changing anything.
+ * A row whose ID matches a listing updates it; any other row is a new
+ * listing, held back when it looks like an existing listing or an
+ * earlier row in the same file.
+ */
+function checkImport() {
+    const knownTags = getKnownTags();
+    const rowsById = new Map();
+    const usedIds = new Set();
+    const added = [];
+
+    importReport = importRows.map((row, index) => {
+        const { record, errors } = buildImportRecord(row, knownTags);
+        const entry = { row: index + 1, name: record.name || '', fields: null, errors, changes: [], duplicates: [], status: 'invalid' };
+        const existing = record.id ? getBusinessById(record.id) : null;
+
+        if (record.id && rowsById.has(record.id)) {
+            errors.push(`Same ID as row ${rowsById.get(record.id)}.`);
+        } else if (record.id) {
+            rowsById.set(record.id, entry.row);
+        }
+
+        if (existing) {
+            entry.name = entry.name || existing.name;
+            entry.fields = { ...completeImportRecord(record, existing), id: existing.id };
+            if (errors.length === 0) {
+                entry.changes = getChangedImportFields(existing, entry.fields);
+                entry.status = entry.changes.length > 0 ? 'update' : 'unchanged';
+            }
+        } else {
+            if (!record.name) errors.push('Name is missing.');
+            if (!('category' in record)) errors.push('Category is missing.');
+
+            if (errors.length === 0) {
+                const baseId = record.id || slugify(record.name);
+                let id = baseId;
+                for (let n = 2; getBusinessById(id) || usedIds.has(id); n++) {
+                    id = `${baseId}-${n}`;
+                }
+                usedIds.add(id);
+
+                entry.fields = { ...completeImportRecord(record, null), id };
+                const listing = normalizeBusiness(entry.fields);
+                entry.duplicates = [
+                    ...findLikelyDuplicates(listing).map(match => ({ ...match, row: null })),
+                    ...findLikelyDuplicates(listing, added.map(item => item.listing))
+                        .map(match => ({ ...match, row: added.find(item => item.listing === match.business).row }))
+                ];
+                entry.status = entry.duplicates.length > 0 ? 'duplicate' : 'new';
+                added.push({ listing, row: entry.row });
+            }
+        }
+
+        entry.include = entry.status === 'new' || entry.status === 'update';
+        return entry;
+    });
+}
+
+function renderImportDetails(entry) {
+    switch (entry.status) {
+        case 'invalid':
+            return `<ul class="import-problems">${entry.errors.map(error => `<li>${escapeHTML(error)}</li>`).join('')}</ul>`;
+        case 'update':
+            return `Changes ${entry.changes.map(field => escapeHTML(IMPORT_FIELDS[field]?.label || field)).join(', ')}`;
+        case 'unchanged':
+            return 'Matches the current listing.';
+        case 'duplicate':
+            return `<ul class="import-problems">${entry.duplicates.map(({ business, reasons, row }) => `
+                <li>
+                    Looks like ${row ? `row ${row}, ${escapeHTML(business.name)}` : `<a href="${getBusinessURL(business)}">${escapeHTML(business.name)}</a>`}
+                    (${escapeHTML(reasons.join(', ').toLowerCase())})
+                </li>
+            `).join('')}</ul>`;
+        default:
+            return `New listing at <code>${escapeHTML(entry.fields.id)}</code>`;
+    }
+}
+
+function updateImportButton() {
+    const count = importReport.filter(entry => entry.include).length;
+    const button = $('#import-commit');
+
+    button.disabled = count === 0;
+    button.textContent = count === 0 ? 'Nothing to import' : `Import ${count} ${count === 1 ? 'listing' : 'listings'}`;
+}
+
+function renderImportReport() {
+    const counts = Object.keys(IMPORT_STATUS_LABELS)
+        .map(status => [status, importReport.filter(entry => entry.status === status).length])
+        .filter(([, count]) => count > 0)
+        .map(([status, count]) => `${count} ${IMPORT_STATUS_LABELS[status].toLowerCase()}`);
+
+    $('#import-report').innerHTML = `
+        <h3 class="import-subtitle">Dry run</h3>
+        <p class="lead-count" role="status">${importReport.length} ${importReport.length === 1 ? 'row' : 'rows'}: ${counts.join(', ')}. Nothing has changed yet.</p>
+        <div class="moderation-diff-wrap">
+            <table class="audit-table import-report-table">
+                <caption class="visually-hidden">What importing each row would do</caption>
+                <thead>
+                    <tr>
+                        <th scope="col">Row</th>
+                        <th scope="col">Listing</th>
+                        <th scope="col">Result</th>
+                        <th scope="col">Details</th>
+                        <th scope="col">Import</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${importReport.map((entry, index) => `
+                        <tr>
+                            <td>${entry.row}</td>
+                            <td>${escapeHTML(entry.name || '—')}</td>
+                            <td><span class="import-status import-status--${entry.status}">${IMPORT_STATUS_LABELS[entry.status]}</span></td>
+                            <td>${renderImportDetails(entry)}</td>
+                            <td>
+                                <input type="checkbox" data-import-row="${index}" aria-label="Import row ${entry.row}"
+                                    ${entry.include ? ' checked' : ''}${entry.fields && entry.status !== 'unchanged' ? '' : ' disabled'}>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        <p class="form-hint">Possible duplicates are left out unless you tick them.</p>
+        <div class="data-actions">
+            <button type="button" class="btn btn-primary" id="import-commit" data-action="commit-import"></button>
+            <button type="button" class="btn btn-secondary" data-action="reset-import">Start over</button>
+        </div>
+        <p class="form-error" id="import-commit-error" role="alert" hidden></p>
+    `;
+    updateImportButton();
+}
+
+/**
+ * Check the column choices, then run the dry run. Each field can come
+ * from one column, and new listings need a name.
+ */
+function runImportCheck() {
+    const errorEl = $('#import-mapping-error');
+    const mapped = importMapping.filter(Boolean);
+    const repeated = mapped.find((field, index) => mapped.indexOf(field) !== index);
+    let error = '';
+
+    if (repeated) {
+        error = `More than one column is set to ${IMPORT_FIELDS[repeated].label}. Choose Ignore for the extra one.`;
+    } else if (!mapped.includes('name') && !mapped.includes('id')) {
+        error = 'Choose the column that holds the business name.';
+    }
+
+    errorEl.textContent = error;
+    errorEl.hidden = !error;
+
+    if (error) {
+        $('#import-report').innerHTML = '';
+        return;
+    }
+
+    checkImport();
+    renderImportReport();
+}
+
+function renderImportMapping() {
+    const options = Object.entries(IMPORT_FIELDS)
+        .map(([field, { label, json }]) => `<option value="${field}">${label}${json ? ' (JSON)' : ''}</option>`)
+        .join('');
+    const getSample = index => {
+        const row = importRows.find(cells => getImportText(cells[index]) !== '');
+        const sample = row ? getImportText(row[index]) : '';
+        return sample.length > 60 ? `${sample.slice(0, 59)}…` : sample;
+    };
+
+    $('#import-mapping').innerHTML = `
+        <h3 class="import-subtitle">Columns</h3>
+        <p class="form-hint">Matched by heading. Change any that are wrong, or choose Ignore to leave a column out.</p>
+        <div class="moderation-diff-wrap">
+            <table class="audit-table import-mapping-table">
+                <caption class="visually-hidden">Which listing field each column fills</caption>
+                <thead>
+                    <tr>
+                        <th scope="col">Column in file</th>
+                        <th scope="col">Listing field</th>
+                        <th scope="col">First value</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${importColumns.map((column, index) => `
+                        <tr>
+                            <th scope="row">${escapeHTML(column || `Column ${index + 1}`)}</th>
+                            <td>
+                                <select class="form-select" data-import-column="${index}" aria-label="Listing field for ${escapeHTML(column || `column ${index + 1}`)}">
+                                    <option value="">Ignore</option>${options}
+                                </select>
+                            </td>
+                            <td class="import-sample">${escapeHTML(getSample(index))}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        <p class="form-error" id="import-mapping-error" role="alert" hidden></p>
+    `;
+
+    $$('[data-import-column]').forEach(select => {
+        select.value = importMapping[Number(select.dataset.importColumn)];
+    });
+}
+
+function resetImport() {
+    importColumns = [];
+    importRows = [];
+    importMapping = [];
+    importReport = [];
+    importFileName = '';
+}
+
+async function handleImportFile(input) {
+    const file = input.files[0];
+
+    clearFieldError(input);
+    resetImport();
+    $('#import-mapping').innerHTML = '';
+    $('#import-report').innerHTML = '';
+    if (!file) return;
+
+    const error = validateUpload(file, { types: IMPORT_FILE_TYPES, maxBytes: IMPORT_MAX_BYTES });
+    if (error) {
+        showFieldError(input, error);
+        return;
+    }
+
+    const format = IMPORT_FILE_TYPES[file.type] || file.name.split('.').pop().toUpperCase();
+    let parsed;
+
+    try {
+        parsed = parseImportFile(await readFileAsText(file), format);
+    } catch (readError) {
+        showFieldError(input, `${file.name} couldn't be read as ${format}. ${format === 'JSON' ? 'Check that it is valid JSON.' : ''}`.trim());
+        return;
+    }
+
+    if (parsed.rows.length === 0) {
+        showFieldError(input, `${file.name} has no listings in it.`);
+        return;
+    }
+
+    importFileName = file.name;
+    importColumns = parsed.columns;
+    importRows = parsed.rows;
+    importMapping = importColumns.map(guessImportField);
+    renderImportMapping();
+    runImportCheck();
+}
+
+/**
+ * Add and update the ticked rows, once the import is in the audit log.
+ * Like moderation decisions, the result is kept in this browser over the
+ * listing data until an export of it replaces data/businesses.json.
+ */
+async function commitImport() {
+    if (!canModerate()) return;
+
+    const entries = importReport.filter(entry => entry.include);
+    const createdAt = getZonedTime().date;
+    const actorField = $('#moderator-name');
+    const actor = actorField.value.trim();
+    const button = $('#import-commit');
+    let added = 0;
+    let updated = 0;
+
+    clearFieldError(actorField);
+    $('#import-commit-error').hidden = true;
+
+    if (!actor) {
+        showFieldError(actorField, 'Enter your name so the import can be recorded.');
+        actorField.focus();
+        return;
+    }
+
+    const newCount = entries.filter(({ fields }) => !getBusinessById(fields.id)).length;
+    const entry = {
+        id: createId(),
+        at: new Date().toISOString(),
+        actor,
+        action: 'imported',
+        itemId: null,
+        itemType: 'import',
+        subject: importFileName,
+        reason: `Added ${newCount} and updated ${entries.length - newCount}`,
+        rows: entries.length,
+        ids: entries.map(({ fields }) => fields.id)
+    };
+
+    button.disabled = true;
+    try {
+        await withStore(AUDIT_LOG_STORE, 'readwrite', store => store.add(entry));
+    } catch (error) {
+        console.error('Import could not be recorded:', error);
+        $('#import-commit-error').textContent = 'The import couldn\'t be recorded in the audit log, so nothing was changed. Please try again.';
+        $('#import-commit-error').hidden = false;
+        button.disabled = false;
+        return;
+    }
+
+    entries.forEach(({ fields }) => {
+        const { id, ...changes } = fields;
+
+        if (getBusinessById(id)) {
+            const record = moderatedListings.added.find(item => item.id === id);
+            if (record) Object.assign(record, changes);
+            else moderatedListings.edits[id] = { ...moderatedListings.edits[id], ...changes };
+
+            state.businesses = state.businesses.map(business => business.id === id ? applyListingChanges(business, changes) : business);
+            updated++;
+        } else {
+            const record = { ...fields, createdAt: fields.createdAt || createdAt };
+            moderatedListings.added.push(record);
+            state.businesses.push(normalizeBusiness(record));
+            added++;
+        }
+    });
+
+    const saved = saveModeration();
+    refreshListings();
+    resetImport();
+
+    $('#import-file').value = '';
+    $('#import-mapping').innerHTML = '';
+    $('#import-report').innerHTML = `
+        <p class="lead-count" role="status">
+            Added ${added} ${added === 1 ? 'listing' : 'listings'} and updated ${updated}.
+            ${saved ? '' : '<span class="form-error">They couldn\'t be saved in this browser and will be gone after a reload, so export JSON now.</span>'}
+        </p>
+    `;
+}
+
+function showImportExport() {
+    resetImport();
+
+    elements.adminView.innerHTML = `
+        ${renderAdminHeader('Import & export', 'data')}
+        <div class="owner-main moderation-panel">
+            <section class="analytics-panel" aria-labelledby="export-title">
+                <h2 class="detail-section-title" id="export-title">Export listings</h2>
+                <p class="form-hint">
+                    All ${state.businesses.length} listings, including ones added or changed here.
+                    JSON keeps everything and can replace data/businesses.json; CSV leaves out reviews, featured placements and holiday closures.
+                </p>
+                <div class="data-actions">
+                    <button type="button" class="btn btn-secondary" data-action="export-csv">Export CSV</button>
+                    <button type="button" class="btn btn-secondary" data-action="export-json">Export JSON</button>
+                </div>
+            </section>
+            <section class="analytics-panel" aria-labelledby="import-title">
+                <h2 class="detail-section-title" id="import-title">Import listings</h2>
+                <div class="form-group">
+                    <label for="import-file" class="form-label">CSV or JSON file</label>
+                    <input type="file" id="import-file" class="form-input" accept=".csv,.json,text/csv,application/json" aria-describedby="import-file-hint">
+                    <p class="form-hint" id="import-file-hint">Up to ${formatFileSize(IMPORT_MAX_BYTES)}. Rows with an ID that's already listed update that listing. Nothing changes until you've read the dry run and chosen Import.</p>
+                </div>
+                <div class="form-group">
+                    <label for="moderator-name" class="form-label">Your name</label>
+                    <input type="text" id="moderator-name" class="form-input" autocomplete="name" value="${escapeHTML(readStorage('moderator', ''))}" aria-describedby="moderator-name-hint">
+                    <p class="form-hint" id="moderator-name-hint">Recorded in the audit log with every import.</p>
+                </div>
+                <div id="import-mapping"></div>
+                <div id="import-report"></div>
+            </section>
+        </div>
+    `;
+
+    document.title = 'Import & export | Rocky Top Business Directory';
+    showView('admin');
+    window.scrollTo(0, 0);
+    $('#admin-title').focus();
+    updateOpenCount();
+}
+
+// ========================================
+// Event Handlers
+// ========================================
+
+const handleSearch = debounce((e) => {
+    const query = e.target.value;
+    applySearchQuery(query);
+    trackSettledSearch(query);
+}, 300);
+
+function handleSearchSubmit(e) {
+    e.preventDefault();
+    const query = elements.searchInput.value;
+    applySearchQuery(query, { final: true });
+    trackSearch(query);
+}
+
+function handleFilterPillClick(e) {
+    const pill = e.currentTarget;
+    if (isFacetDisabled(pill)) return;
+
+    const filter = pill.dataset.filter;
+    const isPressed = pill.getAttribute('aria-pressed') === 'true';
+    
+    pill.setAttribute('aria-pressed', !isPressed);
+    
+    if (isPressed) {
+        state.filters.ownership.delete(filter);
+    } else {
+        state.filters.ownership.add(filter);
+    }
+    
+    applyFilters();
+}
+
+function handleCategoryChange(e) {
+    state.filters.category = e.target.value;
+    updateCategorySidebar(e.target.value);
+    applyFilters();
+    if (e.target.value) trackEvent('category', { category: e.target.value });
+}
+
+function handleRatingFilterClick() {
+    state.filters.minRating = state.filters.minRating ? null : MIN_RATING_FILTER;
+    elements.ratingBtn.setAttribute('aria-pressed', state.filters.minRating ? 'true' : 'false');
+    applyFilters();
+}
+
+function handleOpenNowClick() {
+    const { open } = state.filters;
+    state.filters.open = open && open.now ? null : { now: true };
+    syncOpenControls();
+    applyFilters();
+}
+
+/**
+ * Choosing a day in the "Open at" picker replaces "Open now"; "Any day" clears it
+ */
+function handleOpenAtChange() {
+    const day = elements.openDay.value;
+    state.filters.open = day ? { day, time: elements.openTime.value || '12:00' } : null;
+    syncOpenControls();
+    applyFilters();
+}
+
+function handleCategoryClick(e) {
+    if (isFacetDisabled(e.currentTarget)) return;
+
+    const category = e.currentTarget.dataset.category || '';
+    state.filters.category = category;
+    elements.categorySelect.value = category;
+    updateCategorySidebar(category);
+    applyFilters();
+    if (category) trackEvent('category', { category });
+}
+
+function handleTagClick(e) {
+    if (isFacetDisabled(e.currentTarget)) return;
+
+    const tag = e.currentTarget.dataset.tag;
+    const isActive = e.currentTarget.classList.contains('active');
+    
+    e.currentTarget.classList.toggle('active');
+    
+    if (isActive) {
+        state.filters.tags.delete(tag);
+    } else {
+        state.filters.tags.add(tag);
+        trackEvent('tag', { tag });
+    }
+    
+    applyFilters();
+}
+
+function handleFavoriteClick(btn, business) {
+    const isPressed = btn.getAttribute('aria-pressed') === 'true';
+
+    btn.setAttribute('aria-pressed', !isPressed);
+
+    // A featured business can have a card in both grids
+    $$('.business-card').forEach(card => {
+        if (card.dataset.id === business.id) {
+            card.querySelector('.card-favorite').setAttribute('aria-pressed', !isPressed);
+        }
+    });
+    
+    if (isPressed) {
+        state.favorites.delete(business.id);
+    } else {
+        state.favorites.add(business.id);
+    }
+    saveFavorites();
+    trackEvent('favorite', { businessId: business.id, saved: !isPressed });
+    
+    announceToScreenReader(isPressed ? 'Removed from favorites' : 'Added to favorites');
+
+    // Drop the card straight away when viewing saved businesses
+    if (state.filters.saved) {
+        applyFilters({ updateHistory: false });
+    }
+}
+
+/**
+ * Delegated handler for controls inside rendered business cards
+ */
+function handleListingsClick(e) {
+    const card = e.target.closest('.business-card');
+    const business = card && getBusinessById(card.dataset.id);
+    if (!business) return;
+
+    const favoriteBtn = e.target.closest('.card-favorite');
+    if (favoriteBtn) {
+        handleFavoriteClick(favoriteBtn, business);
+        return;
+    }
+
+    if (e.target.closest('.contact-btn')) {
+        openContactModal(business);
+    } else if (e.target.closest('.details-link')) {
+        detailOpenedFrom = e.currentTarget;
+    }
+}
+
+// ========================================
+// Local Database
+// ========================================
+
+const DB_NAME = 'rt-directory';
+const DB_VERSION = 6;
+
+/**
+ * Object stores, all keyed by `id`. Version 2 added the review queue,
+ * version 3 the owners' lead inbox, version 4 the moderators' audit log,
+ * version 5 the local analytics events, version 6 the listing history's photos.
+ */
+const DB_STORES = ['lead-queue', 'review-queue', 'lead-inbox', 'audit-log', 'analytics', 'listing-photos'];
+
+let database = null;
+
+function openDatabase() {
+    if (database) return database;
+
+    database = new Promise((resolve, reject) => {
+        if (!window.indexedDB) {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            DB_STORES
+                .filter(name => !request.result.objectStoreNames.contains(name))
+                .forEach(name => request.result.createObjectStore(name, { keyPath: 'id' }));
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later call to try again
+    database.catch(() => {
+        database = null;
+    });
+
+    return database;
+}
+
+/**
+ * Run a request against one object store and resolve with its result
+ */
+async function withStore(storeName, mode, callback) {
+    const db = await openDatabase();
+
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = callback(transaction.objectStore(storeName));
+
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+}
+
+// ========================================
+// Lead Delivery
+// ========================================
+
+const LEAD_QUEUE_STORE = 'lead-queue';
+const LEAD_RETRY_BASE_MS = 5000;
+const LEAD_RETRY_MAX_MS = 60 * 60 * 1000;
+
+/**
+ * Raised when a lead can't be delivered. Retryable errors (offline,
+ * network failures, 408/429/5xx) are queued; the rest are shown to the user.
+ */
+class LeadDeliveryError extends Error {
+    constructor(message, { status = 0, retryable = false } = {}) {
+        super(message);
+        this.name = 'LeadDeliveryError';
+        this.status = status;
+        this.retryable = retryable;
+    }
+}
+
+/**
+ * Default transport: POST the lead as JSON to config.leadEndpoint
+ */
+async function postLeadTransport(lead) {
+    if (!navigator.onLine) {
+        throw new LeadDeliveryError('You appear to be offline', { retryable: true });
+    }
+
+    const endpoint = lead.routing === 'suspected-spam' ? config.spamLeadEndpoint : config.leadEndpoint;
+
+    let response;
+    try {
+        response = await fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+            body: JSON.stringify(lead)
+        });
+    } catch (error) {
+        throw new LeadDeliveryError('Could not reach the server', { retryable: true });
+    }
+
+    if (!response.ok) {
+        const retryable = response.status >= 500 || response.status === 408 || response.status === 429;
+        throw new LeadDeliveryError(`Server responded with ${response.status}`, { status: response.status, retryable });
+    }
+
+    return response;
+}
+
+/**
+ * Send a lead through the configured transport. Errors from custom
+ * transports that aren't LeadDeliveryErrors are treated as retryable.
+ */
+async function deliverLead(lead) {
+    const transport = config.leadTransport || postLeadTransport;
+
+    try {
+        await transport(lead);
+    } catch (error) {
+        if (error instanceof LeadDeliveryError) throw error;
+        throw new LeadDeliveryError(error?.message || 'Delivery failed', { retryable: true });
+    }
+}
+
+function createId() {
+    return window.crypto?.randomUUID?.() ||
+        `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function getRetryDelay(attempts) {
+    const delay = Math.min(LEAD_RETRY_MAX_MS, LEAD_RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1));
+    return delay * (0.8 + Math.random() * 0.4);
+}
+
+/**
+ * Store an undelivered lead for retry. Resolves false if it couldn't be stored.
+ */
+async function queueLead(lead, error) {
+    try {
+        await withStore(LEAD_QUEUE_STORE, 'readwrite', store => store.put({
+            id: lead.id,
+            lead,
+            attempts: 1,
+            status: 'pending',
+            lastError: error.message,
+            nextAttemptAt: Date.now() + getRetryDelay(1)
+        }));
+        scheduleLeadRetry();
+        return true;
+    } catch (storageError) {
+        console.error('Unable to queue lead:', storageError);
+        return false;
+    }
+}
+
+let leadRetryTimer = null;
+let leadQueueRunning = false;
+
+/**
+ * Retry queued leads that are due. Leads the server rejects outright are
+ * kept with status "rejected" instead of being retried forever.
+ */
+async function processLeadQueue() {
+    if (leadQueueRunning) return;
+    leadQueueRunning = true;
+    clearTimeout(leadRetryTimer);
+
+    try {
+        const entries = await withStore(LEAD_QUEUE_STORE, 'readonly', store => store.getAll());
+        const due = entries.filter(entry => entry.status === 'pending' && entry.nextAttemptAt <= Date.now());
+
+        for (const entry of due) {
+            try {
+                await deliverLead(entry.lead);
+                await withStore(LEAD_QUEUE_STORE, 'readwrite', store => store.delete(entry.id));
+                receiveLead(entry.lead);
+                announceToScreenReader(`Your queued message to ${entry.lead.businessName} was sent`);
+            } catch (error) {
+                const attempts = entry.attempts + 1;
+                await withStore(LEAD_QUEUE_STORE, 'readwrite', store => store.put({
+                    ...entry,
+                    attempts,
+                    status: error.retryable ? 'pending' : 'rejected',
+                    lastError: error.message,
+                    nextAttemptAt: Date.now() + getRetryDelay(attempts)
+                }));
+
+                // Still offline: no point trying the rest right now
+                if (error.retryable) break;
+
+                console.warn('Queued lead rejected:', error);
+                announceToScreenReader(`Your queued message to ${entry.lead.businessName} was not accepted and won't be sent. Please contact them another way.`);
+            }
+        }
+    } catch (error) {
+        console.warn('Lead queue unavailable:', error);
+    } finally {
+        leadQueueRunning = false;
+    }
+
+    scheduleLeadRetry();
+}
+
+/**
+ * Set a timer for the next pending lead that is due
+ */
+async function scheduleLeadRetry() {
+    clearTimeout(leadRetryTimer);
+
+    try {
+        const entries = await withStore(LEAD_QUEUE_STORE, 'readonly', store => store.getAll());
+        const pending = entries.filter(entry => entry.status === 'pending');
+        if (pending.length === 0) return;
+
+        const nextAttemptAt = Math.min(...pending.map(entry => entry.nextAttemptAt));
+        leadRetryTimer = setTimeout(processLeadQueue, Math.max(0, nextAttemptAt - Date.now()));
+    } catch (error) {
+        // Queue unavailable; nothing to schedule
+    }
+}
+
+// ========================================
+// Lead Screening
+// ========================================
+
+const RATE_LIMIT_MESSAGES = {
+    browser: 'You\'ve sent several messages recently. Please wait a while before sending another.',
+    business: 'You\'ve already contacted this business recently. Please give them time to reply.',
+    email: 'Several messages were sent from this email address recently. Please wait a while before sending another.'
+};
+
+function countLinks(text) {
+    return (text.match(/https?:\/\/|www\.|\[url=/gi) || []).length;
+}
+
+/**
+ * Short hash of a message with case, accents and spacing folded,
+ * so resubmitting the same text is spotted without storing it
+ */
+function fingerprintMessage(text) {
+    const normalized = foldText(text).replace(/\s+/g, ' ').trim();
+    let hash = 5381;
+
+    for (let i = 0; i < normalized.length; i++) {
+        hash = ((hash << 5) + hash + normalized.charCodeAt(i)) >>> 0;
+    }
+
+    return hash.toString(16);
+}
+
+/**
+ * Recent accepted submissions from this browser, used for rate limits and duplicates
+ */
+function getLeadHistory(now = Date.now()) {
+    const history = readStorage('lead-history', []);
+    const { duplicateWindowMs, rateLimits } = config.leadScreening;
+    const keepFor = Math.max(duplicateWindowMs, ...Object.values(rateLimits).map(limit => limit.windowMs));
+
+    return Array.isArray(history) ? history.filter(entry => now - entry.at < keepFor) : [];
+}
+
+function recordLeadHistory(lead) {
+    const history = getLeadHistory();
+
+    history.push({
+        at: Date.now(),
+        businessId: lead.businessId,
+        email: normalizeText(lead.email),
+        fingerprint: fingerprintMessage(lead.message)
+    });
+    writeStorage('lead-history', history);
+}
+
+/**
+ * Which rate limit, if any, this lead would exceed
+ */
+function findRateLimitExceeded(lead, history, now) {
+    const { rateLimits } = config.leadScreening;
+    const email = normalizeText(lead.email);
+    const scopes = {
+        browser: () => true,
+        business: entry => entry.businessId === lead.businessId,
+        email: entry => entry.email === email
+    };
+
+    return Object.keys(scopes).find(scope => {
+        const { max, windowMs } = rateLimits[scope];
+        const recent = history.filter(entry => now - entry.at < windowMs && scopes[scope](entry));
+        return recent.length >= max;
+    }) || null;
+}
+
+/**
+ * Decide how to handle a lead: send it, flag it as suspected spam
+ * (kept out of the owner's inbox), or block it because of a rate limit.
+ */
+function screenLead(lead, { openedAt, honeypot }) {
+    const now = Date.now();
+    const { minFillMs, maxLinks, duplicateWindowMs } = config.leadScreening;
+    const history = getLeadHistory(now);
+
+    const rateLimit = findRateLimitExceeded(lead, history, now);
+    if (rateLimit) {
+        return { action: 'block', reasons: [`rate-limit:${rateLimit}`], rateLimit };
+    }
+
+    const reasons = [];
+    const fingerprint = fingerprintMessage(lead.message);
+
+    if (honeypot) reasons.push('honeypot');
+    if (now - openedAt < minFillMs) reasons.push('too-fast');
+    if (countLinks(lead.message) > maxLinks) reasons.push('too-many-links');
+    if (history.some(entry => entry.fingerprint === fingerprint && now - entry.at < duplicateWindowMs)) {
+        reasons.push('duplicate-message');
+    }
+
+    return { action: reasons.length > 0 ? 'flag' : 'send', reasons };
+}
+
+/**
+ * Keep a local log of why submissions were flagged or blocked
+ */
+function recordScreening(lead, screening) {
+    const log = readStorage('spam-log', []);
+
+    log.push({
+        at: new Date().toISOString(),
+        leadId: lead.id,
+        businessId: lead.businessId,
+        action: screening.action,
+        reasons: screening.reasons
+    });
+    writeStorage('spam-log', log.slice(-50));
+}
+
+// ========================================
+// Review Queue
+// ========================================
+
+const REVIEW_QUEUE_STORE = 'review-queue';
+
+/**
+ * Hold a submission for a moderator. Items are kept in this browser's
+ * IndexedDB; `type` says what is being reviewed (e.g. 'new-business').
+ */
+async function submitForReview(type, payload) {
+    const item = {
+        id: createId(),
+        type,
+        status: 'pending',
+        submittedAt: new Date().toISOString(),
+        payload
+    };
+
+    await withStore(REVIEW_QUEUE_STORE, 'readwrite', store => store.put(item));
+    return item;
+}
+
+async function getReviewQueue() {
+    return withStore(REVIEW_QUEUE_STORE, 'readonly', store => store.getAll());
+}
+
+// ========================================
+// Analytics
+// ========================================
+
+const ANALYTICS_STORE = 'analytics';
+
+/**
+ * Local sink: keeps events in this browser's IndexedDB, dropping any older
+ * than `config.analytics.retentionDays`, so the dashboards work without a
+ * server. A real sink implements the same async send(events) and getEvents().
+ */
+function createLocalAnalyticsSink() {
+    return {
+        async send(events) {
+            const cutoff = new Date(Date.now() - config.analytics.retentionDays * 24 * 60 * 60 * 1000).toISOString();
+
+            await withStore(ANALYTICS_STORE, 'readwrite', store => {
+                events.forEach(event => store.put(event));
+
+                const cursorRequest = store.openCursor();
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (!cursor) return;
+                    if (cursor.value.at < cutoff) cursor.delete();
+                    cursor.continue();
+                };
+            });
+        },
+
+        async getEvents() {
+            return withStore(ANALYTICS_STORE, 'readonly', store => store.getAll());
+        }
+    };
+}
+
+const analyticsSink = config.analyticsSink || createLocalAnalyticsSink();
+
+let analyticsBuffer = [];
+let analyticsTimer = null;
+let analyticsFlushing = false;
+let lastTrackedSearch = '';
+
+/**
+ * Do Not Track, or its successor Global Privacy Control, turns collection off entirely
+ */
+function isTrackingAllowed() {
+    return !(navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true);
+}
+
+/**
+ * Record a usage event. Events say what happened and when, with no
+ * visitor id or contact details, and reach the sink in batches.
+ */
+function trackEvent(type, props = {}) {
+    if (!isTrackingAllowed()) return;
+
+    analyticsBuffer.push({ id: createId(), type, at: new Date().toISOString(), ...props });
+
+    if (analyticsBuffer.length >= config.analytics.batchSize) {
+        flushAnalytics();
+    } else if (!analyticsTimer) {
+        analyticsTimer = setTimeout(flushAnalytics, config.analytics.flushIntervalMs);
+    }
+}
+
+/**
+ * Hand buffered events to the sink. A failed batch goes back in the
+ * buffer, capped so an unreachable sink can't grow it without limit.
+ */
+async function flushAnalytics() {
+    clearTimeout(analyticsTimer);
+    analyticsTimer = null;
+    if (analyticsFlushing || analyticsBuffer.length === 0) return;
+
+    const batch = analyticsBuffer;
+    analyticsBuffer = [];
+    analyticsFlushing = true;
+
+    try {
+        await analyticsSink.send(batch);
+    } catch (error) {
+        console.warn('Analytics events not sent:', error);
+        analyticsBuffer = [...batch, ...analyticsBuffer].slice(-config.analytics.maxBuffered);
+    } finally {
+        analyticsFlushing = false;
+        if (analyticsBuffer.length > 0 && !analyticsTimer) {
+            analyticsTimer = setTimeout(flushAnalytics, config.analytics.flushIntervalMs);
+        }
+    }
+}
+
+/**
+ * Record a search once the query stops changing, with how many listings
+ * it found. Repeats of the same query in a row count once.
+ */
+function trackSearch(query) {
+    const normalized = query.trim().toLowerCase().replace(/\s+/g, ' ').slice(0, 100);
+
+    if (!normalized) {
+        lastTrackedSearch = '';
+        return;
+    }
+    if (normalized === lastTrackedSearch) return;
+
+    lastTrackedSearch = normalized;
+    trackEvent('search', { query: normalized, results: currentResults.businesses.length });
+}
+
+const trackSettledSearch = debounce(trackSearch, config.analytics.searchSettleMs);
+
+/**
+ * Everything the sink holds, including events still waiting in the buffer
+ */
+async function getAnalyticsEvents() {
+    await flushAnalytics();
+    return analyticsSink.getEvents();
+}
+
+// ========================================
+// Form Validation
+// ========================================
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+/**
+ * Digits of a US phone number, without a leading country code
+ */
+function getPhoneDigits(value) {
+    const digits = value.replace(/\D/g, '');
+    return digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+}
+
+/**
+ * Format a US phone number as (865) 555-0123, building it up as digits are typed.
+ * Input with more than ten digits is left alone so validation can flag it.
+ */
+function formatPhone(value) {
+    const digits = getPhoneDigits(value);
+
+    if (digits.length === 0 || digits.length > 10) return value.trim();
+    if (digits.length <= 3) return `(${digits}`;
+    if (digits.length <= 6) return `(${digits.slice(0, 3)}) ${digits.slice(3)}`;
+    return `(${digits.slice(0, 3)}) ${digits.slice(3, 6)}-${digits.slice(6)}`;
+}
+
+function isValidPhone(value) {
+    return /^[2-9]\d{2}[2-9]\d{6}$/.test(getPhoneDigits(value));
+}
+
+function checkLength(value, { min, max, label }) {
+    if (value.length < min) return `${label} must be at least ${min} characters.`;
+    if (value.length > max) return `${label} must be ${max} characters or fewer.`;
+    return null;
+}
+
+function formatFileSize(bytes) {
+    if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Check an uploaded file against a MIME type -> label map and a size cap;
+ * returns an error message or null. The extension is checked too because
+ * some browsers report an empty type.
+ */
+function validateUpload(file, { types, maxBytes }) {
+    const labels = [...new Set(Object.values(types))];
+    const extension = file.name.split('.').pop().toLowerCase().replace('jpeg', 'jpg');
+    const typeOk = types[file.type] || (!file.type && labels.includes(extension.toUpperCase()));
+    const typeList = labels.length > 1
+        ? `${labels.slice(0, -1).join(', ')} or ${labels[labels.length - 1]}`
+        : labels[0];
+
+    if (!typeOk) return `${file.name} isn't a ${typeList} file.`;
+    if (file.size === 0) return `${file.name} is empty. Choose another file.`;
+    if (file.size > maxBytes) {
+        return `${file.name} is ${formatFileSize(file.size)}. Choose a file of ${formatFileSize(maxBytes)} or less.`;
+    }
+    return null;
+}
+
+/**
+ * Contact form rules keyed by field id; each returns an error message or null
+ */
+const CONTACT_RULES = {
+    'contact-name': value => {
+        if (!value) return 'Enter your name.';
+        return checkLength(value, { min: 2, max: 100, label: 'Name' });
+    },
+    'contact-email': value => {
+        if (!value) return 'Enter your email address.';
+        if (!EMAIL_PATTERN.test(value)) return 'Enter an email address like name@example.com.';
+        return null;
+    },
+    'contact-phone': value => {
+        if (value && !isValidPhone(value)) return 'Enter a 10-digit US phone number, like (865) 555-0123.';
+        return null;
+    },
+    'contact-subject': value => value ? null : 'Choose a subject.',
+    'contact-message': value => {
+        if (!value) return 'Enter a message.';
+        return checkLength(value, { min: 10, max: 2000, label: 'Message' });
+    }
+};
+
+function validateField(field, rules) {
+    const message = rules[field.id](field.value.trim());
+
+    if (message) {
+        showFieldError(field, message);
+    } else {
+        clearFieldError(field);
+    }
+
+    return message;
+}
+
+/**
+ * Check every field with a rule, returning the errors in form order
+ */
+function validateForm(form, rules) {
+    return Object.keys(rules)
+        .map(id => form.querySelector(`#${id}`))
+        .map(field => ({ field, message: validateField(field, rules) }))
+        .filter(({ message }) => message);
+}
+
+function showFieldError(field, message) {
+    const errorId = `${field.id}-error`;
+    let errorEl = document.getElementById(errorId);
+
+    if (!errorEl) {
+        errorEl = document.createElement('p');
+        errorEl.id = errorId;
+        errorEl.className = 'field-error';
+        field.closest('.form-group').appendChild(errorEl);
+    }
+
+    errorEl.textContent = message;
+    errorEl.hidden = false;
+    field.setAttribute('aria-invalid', 'true');
+
+    const describedBy = (field.getAttribute('aria-describedby') || '').split(' ').filter(Boolean);
+    if (!describedBy.includes(errorId)) {
+        field.setAttribute('aria-describedby', [...describedBy, errorId].join(' '));
+    }
+}
+
+function clearFieldError(field) {
+    const errorId = `${field.id}-error`;
+    const errorEl = document.getElementById(errorId);
+    if (errorEl) errorEl.hidden = true;
+
+    field.removeAttribute('aria-invalid');
+
+    const describedBy = (field.getAttribute('aria-describedby') || '')
+        .split(' ')
+        .filter(id => id && id !== errorId);
+    if (describedBy.length > 0) {
+        field.setAttribute('aria-describedby', describedBy.join(' '));
+    } else {
+        field.removeAttribute('aria-describedby');
+    }
+}
+
+function clearFormErrors(form, summary) {
+    form.querySelectorAll('[aria-invalid="true"]').forEach(clearFieldError);
+    summary.hidden = true;
+    summary.innerHTML = '';
+}
+
+/**
+ * List every error at the top of the form, each linking to its field
+ */
+function renderErrorSummary(summary, errors) {
+    if (errors.length === 0) {
+        summary.hidden = true;
+        summary.innerHTML = '';
+        return;
+    }
+
+    const heading = errors.length === 1 ? 'Please fix 1 problem:' : `Please fix ${errors.length} problems:`;
+    summary.innerHTML = `
+        <p class="form-error-summary-title">${heading}</p>
+        <ul>
+            ${errors.map(({ field, message }) => `
+                <li><a href="#${field.id}" data-field="${field.id}">${escapeHTML(message)}</a></li>
+            `).join('')}
+        </ul>
+    `;
+    summary.hidden = false;
+}
+
+function handleErrorSummaryClick(e) {
+    const link = e.target.closest('[data-field]');
+    if (!link) return;
+
+    e.preventDefault();
+    document.getElementById(link.dataset.field).focus();
+}
+
+/**
+ * Validate a field when it loses focus, and re-check as the user
+ * corrects a field that is already showing an error
+ */
+function handleContactFieldEvent(e) {
+    const field = e.target;
+    if (!CONTACT_RULES[field.id]) return;
+
+    if (e.type === 'focusout' && field.value.trim()) {
+        validateField(field, CONTACT_RULES);
+    } else if (field.getAttribute('aria-invalid') === 'true') {
+        validateField(field, CONTACT_RULES);
+    }
+
+    if (elements.contactErrorSummary.hidden) return;
+
+    const remaining = Object.keys(CONTACT_RULES)
+        .map(id => $(`#${id}`))
+        .filter(input => input.getAttribute('aria-invalid') === 'true')
+        .map(input => ({ field: input, message: $(`#${input.id}-error`).textContent }));
+    renderErrorSummary(elements.contactErrorSummary, remaining);
+}
+
+/**
+ * Format the phone number as it is typed, unless the user is deleting
+ * or editing the middle of the number
+ */
+function handlePhoneInput(e) {
+    const field = e.target;
+    if (e.inputType?.startsWith('delete')) return;
+    if (field.selectionStart !== field.value.length) return;
+
+    field.value = formatPhone(field.value);
+}
+
+// ---- Hours fields ----
+
+const DEFAULT_HOURS = {
+    mon: [{ open: '09:00', close: '17:00' }],
+    tue: [{ open: '09:00', close: '17:00' }],
+    wed: [{ open: '09:00', close: '17:00' }],
+    thu: [{ open: '09:00', close: '17:00' }],
+    fri: [{ open: '09:00', close: '17:00' }],
+    sat: [],
+    sun: []
+};
+
+/**
+ * Render an open checkbox and opening/closing times for each day.
+ * `weekly` maps day keys to [{ open, close }] ("HH:MM", 24-hour).
+ */
+function renderHoursFields(container, prefix, weekly = DEFAULT_HOURS) {
+    container.innerHTML = WEEK_DAYS.map(({ key, label }) => {
+        const range = weekly[key]?.[0];
+        return `
+            <div class="hours-row" data-day="${key}">
+                <label class="checkbox-option">
+                    <input type="checkbox" id="${prefix}-${key}-open"${range ? ' checked' : ''}> ${label}
+                </label>
+                <input type="time" id="${prefix}-${key}-from" class="form-input" value="${range?.open || '09:00'}" aria-label="${label} opening time"${range ? '' : ' disabled'}>
+                <span class="hours-to" aria-hidden="true">to</span>
+                <input type="time" id="${prefix}-${key}-to" class="form-input" value="${range?.close || '17:00'}" aria-label="${label} closing time"${range ? '' : ' disabled'}>
+            </div>
+        `;
+    }).join('');
+}
+
+function handleHoursToggle(e) {
+    const checkbox = e.target;
+    if (checkbox.type !== 'checkbox') return;
+
+    const row = checkbox.closest('.hours-row');
+    row.querySelectorAll('input[type="time"]').forEach(input => {
+        input.disabled = !checkbox.checked;
+        if (!checkbox.checked) clearFieldError(input);
+    });
+}
+
+function readHoursFields(container, prefix) {
+    const weekly = {};
+
+    WEEK_DAYS.forEach(({ key }) => {
+        const isOpen = container.querySelector(`#${prefix}-${key}-open`).checked;
+        weekly[key] = isOpen
+            ? [{
+                open: container.querySelector(`#${prefix}-${key}-from`).value,
+                close: container.querySelector(`#${prefix}-${key}-to`).value
+            }]
+            : [];
+    });
+
+    return weekly;
+}
+
+/**
+ * Errors for open days with a missing time or a closing time before opening.
+ * Closing at midnight ("00:00") is allowed.
+ */
+function validateHoursFields(container, prefix) {
+    const errors = [];
+
+    WEEK_DAYS.forEach(({ key, label }) => {
+        const from = container.querySelector(`#${prefix}-${key}-from`);
+        const to = container.querySelector(`#${prefix}-${key}-to`);
+        let message = null;
+
+        if (!from.disabled) {
+            if (!from.value || !to.value) {
+                message = `Enter opening and closing times for ${label}.`;
+            } else if (to.value !== '00:00' && to.value <= from.value) {
+                message = `${label} closing time must be after the opening time.`;
+            }
+        }
+
+        if (message) {
+            showFieldError(to, message);
+            errors.push({ field: to, message });
+        } else {
+            clearFieldError(to);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Read an image or document as a data URL so it can be stored and shown later
+ */
+function readFileAsDataURL(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+function readFileAsText(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+}
+
+// ========================================
+// Contact Modal
+// ========================================
+
+let contactBusiness = null;
+let contactOpenedAt = 0;
+
+function openContactModal(business) {
+    contactBusiness = business;
+    elements.contactBusinessName.textContent = business.name;
+    elements.contactForm.reset();
+    clearFormErrors(elements.contactForm, elements.contactErrorSummary);
+    elements.contactForm.hidden = false;
+    elements.contactSuccess.hidden = true;
+    elements.contactQueued.hidden = true;
+    elements.contactReview.hidden = true;
+    elements.contactError.hidden = true;
+    elements.contactModal.classList.add('active');
+    contactOpenedAt = Date.now();
+    document.body.style.overflow = 'hidden';
+    trackEvent('contact-open', { businessId: business.id });
+    
+    setTimeout(() => {
+        $('#contact-name').focus();
+    }, 100);
+}
+
+function closeContactModal() {
+    elements.contactModal.classList.remove('active');
+    document.body.style.overflow = '';
+}
+
+/**
+ * Collect the contact form into a lead. The id lets the server
+ * ignore duplicates if a queued lead is retried after a lost response.
+ */
+function buildLead() {
+    return {
+        id: createId(),
+        businessId: contactBusiness.id,
+        businessName: contactBusiness.name,
+        name: $('#contact-name').value.trim(),
+        email: $('#contact-email').value.trim(),
+        phone: formatPhone($('#contact-phone').value),
+        subject: $('#contact-subject').value,
+        message: $('#contact-message').value.trim(),
+        submittedAt: new Date().toISOString()
+    };
+}
+
+function setContactSending(isSending) {
+    elements.contactSubmit.disabled = isSending;
+    elements.contactSubmit.textContent = isSending ? 'Sending…' : 'Send Message';
+    elements.contactForm.setAttribute('aria-busy', isSending ? 'true' : 'false');
+}
+
+function showContactPanel(panel) {
+    elements.contactForm.hidden = true;
+    panel.hidden = false;
+    panel.querySelector('button')?.focus();
+}
+
+async function handleContactSubmit(e) {
+    e.preventDefault();
+
+    const errors = validateForm(elements.contactForm, CONTACT_RULES);
+    renderErrorSummary(elements.contactErrorSummary, errors);
+    if (errors.length > 0) {
+        elements.contactError.hidden = true;
+        errors[0].field.focus();
+        return;
+    }
+
+    const phoneInput = $('#contact-phone');
+    phoneInput.value = formatPhone(phoneInput.value);
+
+    const lead = buildLead();
+    const screening = screenLead(lead, {
+        openedAt: contactOpenedAt,
+        honeypot: $('#contact-website').value
+    });
+    elements.contactError.hidden = true;
+
+    if (screening.action !== 'send') {
+        recordScreening(lead, screening);
+    }
+
+    if (screening.action === 'block') {
+        elements.contactError.textContent = RATE_LIMIT_MESSAGES[screening.rateLimit];
+        elements.contactError.hidden = false;
+        return;
+    }
+
+    const isFlagged = screening.action === 'flag';
+    if (isFlagged) {
+        lead.routing = 'suspected-spam';
+        lead.screening = { reasons: screening.reasons };
+    }
+
+    setContactSending(true);
+
+    try {
+        await deliverLead(lead);
+        recordLeadHistory(lead);
+        receiveLead(lead);
+        trackEvent('contact-submit', { businessId: lead.businessId, outcome: isFlagged ? 'held' : 'sent' });
+        showContactPanel(isFlagged ? elements.contactReview : elements.contactSuccess);
+    } catch (error) {
+        if (error.retryable && await queueLead(lead, error)) {
+            recordLeadHistory(lead);
+            trackEvent('contact-submit', { businessId: lead.businessId, outcome: 'queued' });
+            showContactPanel(elements.contactQueued);
+        } else {
+            console.error('Lead delivery failed:', error);
+            elements.contactError.textContent = error.retryable
+                ? 'Your message could not be sent and could not be saved for later. Please try again.'
+                : 'Your message was not accepted. Please check your details and try again.';
+            elements.contactError.hidden = false;
+        }
+    } finally {
+        setContactSending(false);
+    }
+}
+
+// ========================================
+// Claim Listing Modal
+// ========================================
+
+const CLAIM_DOCUMENT_TYPES = {
+    'application/pdf': 'PDF',
+    'image/jpeg': 'JPG',
+    'image/png': 'PNG'
+};
+
+const CLAIM_METHOD_LABELS = {
+    phone: 'phone number',
+    email: 'email address'
+};
+
+/**
+ * Local stand-in for the verification service. Instead of calling or
+ * emailing, it logs the code (phone) or verification link (email) to the
+ * console. A real provider implements the same three async methods.
+ */
+function createLocalVerificationProvider() {
+    const challenges = new Map();
+
+    return {
+        async issue({ business, method, destination }) {
+            const challengeId = createId();
+            const code = method === 'email'
+                ? createId().replace(/-/g, '').slice(0, 20)
+                : String(Math.floor(Math.random() * 1e6)).padStart(6, '0');
+            const expiresAt = Date.now() + config.claimVerification.codeTtlMs;
+
+            challenges.set(challengeId, { code, expiresAt });
+
+            const message = method === 'email'
+                ? `link ${location.origin}${location.pathname}?token=${code}`
+                : `code ${code}`;
+            console.info(`[verification stub] ${business.name} → ${destination}: ${message}`);
+
+            return { challengeId, expiresAt };
+        },
+
+        async verify({ challengeId, code }) {
+            const challenge = challenges.get(challengeId);
+
+            if (!challenge || challenge.code !== code) return { ok: false, reason: 'invalid' };
+            if (Date.now() > challenge.expiresAt) return { ok: false, reason: 'expired' };
+
+            challenges.delete(challengeId);
+            return { ok: true };
+        },
+
+        async submitDocument({ business, file }) {
+            console.info(`[verification stub] ${business.name}: received ${file.name} for review`);
+            return { submissionId: createId() };
+        }
+    };
+}
+
+const verificationProvider = config.verificationProvider || createLocalVerificationProvider();
+
+let claimCurrentStep = 1;
+let claimSelectedBusiness = null;
+let claimMethod = null;
+let claimChallenge = null;
+let claimDocument = null;
+let claimDocumentURL = null;
+let claimBusy = false;
+let claimResendTimer = null;
+let claimFurthestStep = 0;
+
+function openClaimModal() {
+    claimFurthestStep = 0;
+    resetClaimModal();
+    elements.claimModal.classList.add('active');
+    document.body.style.overflow = 'hidden';
+    
+    setTimeout(() => {
+        elements.claimSearch.focus();
+    }, 100);
+}
+
+function closeClaimModal() {
+    elements.claimModal.classList.remove('active');
+    document.body.style.overflow = '';
+}
+
+function resetClaimModal() {
+    claimSelectedBusiness = null;
+    claimMethod = null;
+    resetClaimVerification();
+    
+    elements.claimSearch.value = '';
+    elements.claimResults.innerHTML = '<p class="claim-hint">Start typing to search for your business listing.</p>';
+    
+    elements.verificationOptions.forEach(opt => {
+        opt.classList.remove('selected');
+        opt.querySelector('input').checked = false;
+    });
+
+    showClaimStep(1);
+}
+
+/**
+ * Forget any code or document from a previous verification attempt
+ */
+function resetClaimVerification() {
+    claimChallenge = null;
+    claimDocument = null;
+    clearTimeout(claimResendTimer);
+
+    if (claimDocumentURL) {
+        URL.revokeObjectURL(claimDocumentURL);
+        claimDocumentURL = null;
+    }
+
+    elements.claimCode.value = '';
+    elements.claimCode.disabled = false;
+    elements.claimCodeStatus.textContent = '';
+    elements.claimCodeError.hidden = true;
+    elements.claimResend.disabled = false;
+    elements.claimDocument.value = '';
+    elements.claimDocumentError.hidden = true;
+    elements.claimDocumentPreview.hidden = true;
+    elements.claimDocumentPreview.innerHTML = '';
+}
+
+/**
+ * Show one step of the wizard: 1 find, 2 choose method, 3 verify, 4 complete.
+ * Step 3 shows the code or document panel for the chosen method.
+ */
+function showClaimStep(step) {
+    claimCurrentStep = step;
+    updateStepIndicator(elements.claimSteps, step);
+
+    // Each step reached counts once per opening of the wizard, giving the drop-off funnel
+    if (step > claimFurthestStep) {
+        claimFurthestStep = step;
+        trackEvent('claim-step', { step, method: claimMethod });
+    }
+
+    elements.claimStep1.hidden = step !== 1;
+    elements.claimStep2.hidden = step !== 2;
+    elements.claimStep3.hidden = step !== 3;
+    elements.claimStep4.hidden = step !== 4;
+    elements.claimCodePanel.hidden = claimMethod === 'document';
+    elements.claimDocumentPanel.hidden = claimMethod !== 'document';
+
+    elements.claimBack.hidden = step === 1 || step === 4;
+    updateClaimNext();
+}
+
+function updateClaimNext() {
+    const labels = {
+        1: 'Continue',
+        2: 'Continue',
+        3: claimMethod === 'document' ? 'Submit for Review' : 'Verify',
+        4: 'Done'
+    };
+    const canContinue = {
+        1: () => Boolean(claimSelectedBusiness),
+        2: () => Boolean(claimMethod),
+        3: () => claimMethod === 'document'
+            ? Boolean(claimDocument)
+            : Boolean(claimChallenge) && !elements.claimCode.disabled && elements.claimCode.value.trim() !== '',
+        4: () => true
+    };
+
+    elements.claimNext.textContent = claimBusy ? 'Please wait…' : labels[claimCurrentStep];
+    elements.claimNext.disabled = claimBusy || !canContinue[claimCurrentStep]();
+    elements.claimBack.disabled = claimBusy;
+}
+
+function setClaimBusy(isBusy) {
+    claimBusy = isBusy;
+    updateClaimNext();
+}
+
+/**
+ * Phone and email verification need somewhere to send the code
+ */
+function updateVerificationOptions() {
+    elements.verificationOptions.forEach(option => {
+        const input = option.querySelector('input');
+        const unavailable = input.value !== 'document' && !claimSelectedBusiness[input.value];
+
+        option.classList.toggle('is-disabled', unavailable);
+        option.setAttribute('aria-disabled', unavailable ? 'true' : 'false');
+        input.disabled = unavailable;
+
+        if (unavailable && input.checked) {
+            input.checked = false;
+            option.classList.remove('selected');
+            claimMethod = null;
+        }
+    });
+}
+
+// ---- Listing lookup ----
+
+/**
+ * Owners search by name or town; phone numbers are matched on digits
+ */
+const CLAIM_SEARCH_WEIGHTS = {
+    name: 10,
+    town: 4
+};
+
+let claimIndex = null;
+
+/**
+ * Find listings an owner might be looking for. Names and towns are
+ * matched through the typo-tolerant search index, so "Smokey Mtn Bakehouse"
+ * still finds "Smoky Mountain Bakehouse"; four or more digits are matched
+ * against phone numbers.
+ */
+function findClaimCandidates(query) {
+    const digits = query.replace(/\D/g, '');
+    const text = query.replace(/[\d()+.-]+/g, ' ');
+    const scores = new Map();
+
+    searchBusinesses(text, claimIndex)?.forEach(({ score }, id) => scores.set(id, score));
+
+    if (digits.length >= 4) {
+        state.businesses
+            .filter(business => getPhoneDigits(business.phone).includes(getPhoneDigits(digits)))
+            .forEach(business => scores.set(business.id, (scores.get(business.id) || 0) + 20));
+    }
+
+    return [...scores.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 8)
+        .map(([id]) => getBusinessById(id));
+}
+
+const CLAIM_STATUS_LABELS = {
+    unclaimed: 'Available',
+    pending: 'Claim pending',
+    claimed: 'Already claimed'
+};
+
+const handleClaimSearch = debounce((e) => {
+    const query = e.target.value.trim();
+    
+    claimSelectedBusiness = null;
+    updateClaimNext();
+
+    if (!query) {
+        elements.claimResults.innerHTML = '<p class="claim-hint">Start typing to search for your business listing.</p>';
+        return;
+    }
+
+    const results = findClaimCandidates(query);
+
+    if (results.length === 0) {
+        elements.claimResults.innerHTML = `
+            <p class="claim-hint">
+                No businesses found matching "${escapeHTML(query)}".<br>
+                <a href="#" data-action="add-business" style="color: var(--color-rust);">Add your business instead →</a>
+            </p>
+        `;
+        return;
+    }
+
+    elements.claimResults.innerHTML = results.map(business => {
+        const status = getClaimStatus(business);
+        const details = [business.town && `${business.town}, TN`, business.phone].filter(Boolean).join(' · ');
+
+        return `
+            <button type="button" class="claim-result" data-id="${escapeHTML(business.id)}" data-status="${status}" aria-pressed="false"${status !== 'unclaimed' ? ' aria-disabled="true"' : ''}>
+                <div>
+                    <div class="claim-result-name">${escapeHTML(business.name)}</div>
+                    <div class="claim-result-address">${escapeHTML(details)}</div>
+                </div>
+                <span class="claim-result-status claim-result-status--${status === 'unclaimed' ? 'available' : 'claimed'}">
+                    ${CLAIM_STATUS_LABELS[status]}
+                </span>
+            </button>
+        `;
+    }).join('');
+}, 300);
+
+function handleClaimResultClick(e) {
+    if (e.target.closest('[data-action="add-business"]')) {
+        e.preventDefault();
+        const name = elements.claimSearch.value.trim();
+        closeClaimModal();
+        openAddBusinessModal({ name: /\d{4}/.test(name) ? '' : name });
+        return;
+    }
+
+    const result = e.target.closest('.claim-result');
+    if (!result) return;
+
+    if (result.dataset.status !== 'unclaimed') {
+        announceToScreenReader(result.dataset.status === 'pending'
+            ? 'A claim for this business is already waiting for review'
+            : 'This business has already been claimed');
+        return;
+    }
+
+    elements.claimResults.querySelectorAll('.claim-result').forEach(r => {
+        r.classList.remove('selected');
+        r.setAttribute('aria-pressed', 'false');
+    });
+    result.classList.add('selected');
+    result.setAttribute('aria-pressed', 'true');
+
+    claimSelectedBusiness = getBusinessById(result.dataset.id);
+    updateClaimNext();
+}
+
+// ---- Claim status ----
+
+function loadClaims() {
+    const claims = readStorage('claims', {});
+    state.claims = claims && typeof claims === 'object' ? claims : {};
+}
+
+/**
+ * The stronger of the status in the listing data and any claim made in this browser
+ */
+function getClaimStatus(business) {
+    const local = state.claims[business.id]?.status;
+    return CLAIM_STATUS_RANK[local] > CLAIM_STATUS_RANK[business.claimStatus] ? local : business.claimStatus;
+}
+
+function recordClaim(business, status, method) {
+    state.claims[business.id] = { status, method, updatedAt: new Date().toISOString() };
+    writeStorage('claims', state.claims);
+    renderResultsPage();
+}
+
+function removeClaim(businessId) {
+    delete state.claims[businessId];
+    writeStorage('claims', state.claims);
+    renderResultsPage();
+}
+
+/**
+ * Put a claim in front of a moderator. Code-verified claims take effect
+ * straight away and can be revoked; document claims wait for approval.
+ */
+async function queueClaimForReview(business, method, file = null) {
+    try {
+        const upload = file
+            ? { name: file.name, type: file.type, size: file.size, dataURL: await readFileAsDataURL(file) }
+            : null;
+        await submitForReview('claim', { businessId: business.id, method, document: upload });
+    } catch (error) {
+        console.warn('Claim recorded here but not queued for moderation:', error);
+    }
+}
+
+async function handleClaimNext() {
+    if (claimBusy) return;
+
+    if (claimCurrentStep === 1 && claimSelectedBusiness) {
+        elements.claimSelectedBusiness.textContent = claimSelectedBusiness.name;
+        updateVerificationOptions();
+        showClaimStep(2);
+    } else if (claimCurrentStep === 2 && claimMethod) {
+        resetClaimVerification();
+        showClaimStep(3);
+
+        if (claimMethod === 'document') {
+            elements.claimDocument.focus();
+        } else {
+            elements.claimCodeLabel.textContent = claimMethod === 'email'
+                ? 'Verification link or code from the email'
+                : 'Verification code';
+            await sendClaimCode();
+            elements.claimCode.focus();
+        }
+    } else if (claimCurrentStep === 3) {
+        if (claimMethod === 'document') {
+            await submitClaimDocument();
+        } else {
+            await verifyClaimCode();
+        }
+    } else if (claimCurrentStep === 4) {
+        closeClaimModal();
+    }
+}
+
+function handleClaimBack() {
+    if (claimBusy) return;
+
+    if (claimCurrentStep === 2) {
+        showClaimStep(1);
+    } else if (claimCurrentStep === 3) {
+        resetClaimVerification();
+        showClaimStep(2);
+    }
+}
+
+function handleVerificationSelect(e) {
+    const option = e.currentTarget;
+    if (option.getAttribute('aria-disabled') === 'true') return;
+    
+    elements.verificationOptions.forEach(opt => {
+        opt.classList.remove('selected');
+        opt.querySelector('input').checked = false;
+    });
+    
+    option.classList.add('selected');
+    option.querySelector('input').checked = true;
+    claimMethod = option.querySelector('input').value;
+    updateClaimNext();
+}
+
+// ---- Code verification (phone and email) ----
+
+/**
+ * Failed attempts and lockouts are kept per business so that closing
+ * the modal doesn't reset them
+ */
+function getClaimAttempts(businessId) {
+    const attempts = readStorage('claim-attempts', {})[businessId] || { failures: 0, lockedUntil: 0 };
+
+    if (attempts.lockedUntil && attempts.lockedUntil <= Date.now()) {
+        return { failures: 0, lockedUntil: 0 };
+    }
+    return attempts;
+}
+
+function setClaimAttempts(businessId, attempts) {
+    const all = readStorage('claim-attempts', {});
+
+    if (attempts) {
+        all[businessId] = attempts;
+    } else {
+        delete all[businessId];
+    }
+    writeStorage('claim-attempts', all);
+}
+
+function recordClaimFailure(businessId) {
+    const { maxAttempts, lockoutMs } = config.claimVerification;
+    const attempts = getClaimAttempts(businessId);
+    const failures = attempts.failures + 1;
+    const lockedUntil = failures >= maxAttempts ? Date.now() + lockoutMs : 0;
+
+    setClaimAttempts(businessId, { failures, lockedUntil });
+    return { remaining: Math.max(maxAttempts - failures, 0), lockedUntil };
+}
+
+function maskDestination(method, value) {
+    if (method === 'email') {
+        const [user, domain] = value.split('@');
+        return `${user.charAt(0)}•••@${domain}`;
+    }
+    return `(•••) •••-${getPhoneDigits(value).slice(-4)}`;
+}
+
+/**
+ * Accept a pasted verification link as well as a bare code
+ */
+function extractVerificationCode(value) {
+    const trimmed = value.trim();
+
+    try {
+        const token = new URL(trimmed).searchParams.get('token');
+        if (token) return token;
+    } catch {
+        // Not a link
+    }
+    return trimmed.replace(/\s+/g, '');
+}
+
+function showClaimCodeError(message) {
+    elements.claimCodeError.textContent = message;
+    elements.claimCodeError.hidden = false;
+}
+
+function showClaimLockout(lockedUntil) {
+    const time = new Date(lockedUntil).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+    elements.claimCode.disabled = true;
+    elements.claimResend.disabled = true;
+    showClaimCodeError(`Too many incorrect attempts. You can try again after ${time}, or go back and upload a document instead.`);
+    updateClaimNext();
+}
+
+async function sendClaimCode() {
+    const { maxSends, resendCooldownMs, codeTtlMs } = config.claimVerification;
+    const business = claimSelectedBusiness;
+    const { lockedUntil } = getClaimAttempts(business.id);
+
+    elements.claimCodeError.hidden = true;
+
+    if (lockedUntil) {
+        showClaimLockout(lockedUntil);
+        return;
+    }
+
+    const sends = claimChallenge ? claimChallenge.sends : 0;
+    if (sends >= maxSends) {
+        elements.claimResend.disabled = true;
+        showClaimCodeError('You\'ve requested the maximum number of codes. Go back to choose another method, or try again later.');
+        return;
+    }
+
+    const destination = business[claimMethod];
+    setClaimBusy(true);
+    elements.claimResend.disabled = true;
+    elements.claimCodeStatus.textContent = 'Sending…';
+
+    try {
+        const challenge = await verificationProvider.issue({ business, method: claimMethod, destination });
+        claimChallenge = { ...challenge, sends: sends + 1 };
+
+        const minutes = Math.round(codeTtlMs / 60000);
+        elements.claimCodeStatus.textContent = claimMethod === 'email'
+            ? `We emailed a verification link to ${maskDestination('email', destination)}. Paste the link or its code below. It expires in ${minutes} minutes.`
+            : `We're calling ${maskDestination('phone', destination)} with a 6-digit code. It expires in ${minutes} minutes.`;
+
+        claimResendTimer = setTimeout(() => {
+            elements.claimResend.disabled = claimChallenge.sends >= maxSends || elements.claimCode.disabled;
+        }, resendCooldownMs);
+    } catch (error) {
+        console.error('Verification code could not be sent:', error);
+        elements.claimCodeStatus.textContent = '';
+        elements.claimResend.disabled = false;
+        showClaimCodeError(`We couldn't send a code to your ${CLAIM_METHOD_LABELS[claimMethod]} right now. Please try again.`);
+    } finally {
+        setClaimBusy(false);
+    }
+}
+
+async function verifyClaimCode() {
+    const business = claimSelectedBusiness;
+    const code = extractVerificationCode(elements.claimCode.value);
+
+    elements.claimCodeError.hidden = true;
+
+    const { lockedUntil } = getClaimAttempts(business.id);
+    if (lockedUntil) {
+        showClaimLockout(lockedUntil);
+        return;
+    }
+
+    if (Date.now() > claimChallenge.expiresAt) {
+        showClaimCodeError('This code has expired. Send a new code to continue.');
+        return;
+    }
+
+    setClaimBusy(true);
+
+    try {
+        const result = await verificationProvider.verify({ challengeId: claimChallenge.challengeId, code });
+
+        if (result.ok) {
+            setClaimAttempts(business.id, null);
+            recordClaim(business, 'claimed', claimMethod);
+            queueClaimForReview(business, claimMethod);
+            completeClaim('verified');
+            return;
+        }
+
+        if (result.reason === 'expired') {
+            showClaimCodeError('This code has expired. Send a new code to continue.');
+            return;
+        }
+
+        const failure = recordClaimFailure(business.id);
+        if (failure.lockedUntil) {
+            showClaimLockout(failure.lockedUntil);
+        } else {
+            showClaimCodeError(`That code didn't match. ${failure.remaining} ${failure.remaining === 1 ? 'attempt' : 'attempts'} left.`);
+            elements.claimCode.select();
+        }
+    } catch (error) {
+        console.error('Verification check failed:', error);
+        showClaimCodeError('We couldn\'t check your code right now. Please try again.');
+    } finally {
+        setClaimBusy(false);
     }
 }
 
-/**
- * Update category sidebar active state
- */
-function updateCategorySidebar(category) {
-    elements.categoryItems.forEach(item => {
-        const itemCategory = item.dataset.category || '';
-        item.classList.toggle('active', itemCategory === category);
-    });
-}
+// ---- Document upload ----
 
-// ========================================
-// Event Handlers
-// ========================================
+function renderClaimDocumentPreview(file) {
+    if (claimDocumentURL) URL.revokeObjectURL(claimDocumentURL);
+    claimDocumentURL = URL.createObjectURL(file);
 
-const handleSearch = debounce((e) => {
-    state.filters.search = e.target.value;
-    applyFilters();
-}, 300);
+    const isImage = file.type.startsWith('image/') || /\.(jpe?g|png)$/i.test(file.name);
+    const preview = isImage
+        ? `<img src="${claimDocumentURL}" alt="Preview of ${escapeHTML(file.name)}">`
+        : `<a href="${claimDocumentURL}" target="_blank" rel="noopener">Open PDF preview</a>`;
 
-function handleSearchSubmit(e) {
-    e.preventDefault();
-    state.filters.search = elements.searchInput.value;
-    applyFilters();
+    elements.claimDocumentPreview.innerHTML = `
+        ${preview}
+        <p class="claim-document-name">${escapeHTML(file.name)} · ${formatFileSize(file.size)}</p>
+    `;
+    elements.claimDocumentPreview.hidden = false;
 }
 
-function handleFilterPillClick(e) {
-    const pill = e.currentTarget;
-    const filter = pill.dataset.filter;
-    const isPressed = pill.getAttribute('aria-pressed') === 'true';
-    
-    pill.setAttribute('aria-pressed', !isPressed);
-    
-    if (isPressed) {
-        state.filters.ownership.delete(filter);
-    } else {
-        state.filters.ownership.add(filter);
+function handleClaimDocumentChange(e) {
+    const file = e.target.files[0] || null;
+    const error = file
+        ? validateUpload(file, { types: CLAIM_DOCUMENT_TYPES, maxBytes: config.claimVerification.maxDocumentBytes })
+        : null;
+
+    claimDocument = null;
+    elements.claimDocumentError.hidden = true;
+    elements.claimDocumentPreview.hidden = true;
+    elements.claimDocument.removeAttribute('aria-invalid');
+
+    if (error) {
+        elements.claimDocumentError.textContent = error;
+        elements.claimDocumentError.hidden = false;
+        elements.claimDocument.setAttribute('aria-invalid', 'true');
+    } else if (file) {
+        claimDocument = file;
+        renderClaimDocumentPreview(file);
     }
-    
-    applyFilters();
-}
 
-function handleCategoryChange(e) {
-    state.filters.category = e.target.value;
-    updateCategorySidebar(e.target.value);
-    applyFilters();
+    updateClaimNext();
 }
 
-function handleCategoryClick(e) {
-    const category = e.currentTarget.dataset.category || '';
-    state.filters.category = category;
-    elements.categorySelect.value = category;
-    updateCategorySidebar(category);
-    applyFilters();
+async function submitClaimDocument() {
+    elements.claimDocumentError.hidden = true;
+    setClaimBusy(true);
+
+    try {
+        await verificationProvider.submitDocument({ business: claimSelectedBusiness, file: claimDocument });
+        recordClaim(claimSelectedBusiness, 'pending', 'document');
+        await queueClaimForReview(claimSelectedBusiness, 'document', claimDocument);
+        completeClaim('review');
+    } catch (error) {
+        console.error('Document upload failed:', error);
+        elements.claimDocumentError.textContent = 'Your document could not be uploaded. Please try again.';
+        elements.claimDocumentError.hidden = false;
+    } finally {
+        setClaimBusy(false);
+    }
 }
 
-function handleTagClick(e) {
-    const tag = e.currentTarget.dataset.tag;
-    const isActive = e.currentTarget.classList.contains('active');
-    
-    e.currentTarget.classList.toggle('active');
-    
-    if (isActive) {
-        state.filters.tags.delete(tag);
+function completeClaim(outcome) {
+    const name = escapeHTML(claimSelectedBusiness.name);
+
+    const dashboard = `<a href="#/owner/${encodeURIComponent(claimSelectedBusiness.id)}" class="claim-dashboard-link">Go to your owner dashboard</a>`;
+
+    if (outcome === 'verified') {
+        elements.claimCompleteTitle.textContent = 'Ownership Verified';
+        elements.claimCompleteText.innerHTML = `You've verified that you own <strong>${name}</strong>. Your listing now shows a Verified owner badge. ${dashboard} to update its details.`;
     } else {
-        state.filters.tags.add(tag);
+        elements.claimCompleteTitle.textContent = 'Submitted for Review';
+        elements.claimCompleteText.innerHTML = `We received your document for <strong>${name}</strong>. Our team will review it and confirm within 24-48 hours. ${dashboard} to check on it.`;
     }
-    
-    applyFilters();
+
+    showClaimStep(4);
+    elements.claimNext.focus();
+    announceToScreenReader(elements.claimCompleteTitle.textContent);
 }
 
-function handleFavoriteClick(e) {
-    const btn = e.currentTarget;
-    const isPressed = btn.getAttribute('aria-pressed') === 'true';
-    btn.setAttribute('aria-pressed', !isPressed);
-    
-    const svg = btn.querySelector('svg');
-    svg.style.fill = isPressed ? 'none' : 'currentColor';
-    
-    announceToScreenReader(isPressed ? 'Removed from favorites' : 'Added to favorites');
+/**
+ * The owner dashboard link on the last step leaves the modal behind
+ */
+function handleClaimCompleteClick(e) {
+    if (e.target.closest('.claim-dashboard-link')) closeClaimModal();
 }
 
 // ========================================
-// Contact Modal
+// Add Business Wizard
 // ========================================
 
-function openContactModal(businessName) {
-    elements.contactBusinessName.textContent = businessName;
-    elements.contactForm.reset();
-    elements.contactForm.hidden = false;
-    elements.contactSuccess.hidden = true;
-    elements.contactModal.classList.add('active');
+const ADD_BUSINESS_LAST_STEP = 5;
+const ADD_BUSINESS_MAX_PHOTOS = 4;
+const ADD_BUSINESS_MAX_SERVICES = 6;
+const PHOTO_TYPES = {
+    'image/jpeg': 'JPG',
+    'image/png': 'PNG',
+    'image/webp': 'WebP'
+};
+const PHOTO_MAX_BYTES = 5 * 1024 * 1024;
+const WEBSITE_PATTERN = /^(https?:\/\/)?[a-z0-9-]+(\.[a-z0-9-]+)+(\/\S*)?$/i;
+
+let addBusinessStep = 1;
+let addBusinessPhotos = [];
+let addBusinessDuplicates = [];
+let addBusinessBusy = false;
+
+function parseServices(value) {
+    return value.split(',').map(service => service.trim()).filter(Boolean);
+}
+
+/**
+ * Field rules for each step, keyed by field id like CONTACT_RULES
+ */
+const ADD_BUSINESS_RULES = {
+    1: {
+        'add-name': value => {
+            if (!value) return 'Enter the business name.';
+            return checkLength(value, { min: 2, max: 100, label: 'Business name' });
+        },
+        'add-category': value => value ? null : 'Choose a category.',
+        'add-town': value => {
+            if (!value) return 'Enter the town or community.';
+            return checkLength(value, { min: 2, max: 60, label: 'Town' });
+        },
+        'add-description': value => {
+            if (!value) return 'Describe the business.';
+            return checkLength(value, { min: 20, max: 500, label: 'Description' });
+        }
+    },
+    2: {
+        'add-services': value => {
+            const services = parseServices(value);
+            if (services.length > ADD_BUSINESS_MAX_SERVICES) return `List up to ${ADD_BUSINESS_MAX_SERVICES} services.`;
+            if (services.some(service => service.length > 30)) return 'Keep each service to 30 characters or fewer.';
+            return null;
+        }
+    },
+    3: {},
+    4: {
+        'add-phone': value => {
+            if (!value && !$('#add-email').value.trim()) return 'Enter a phone number or an email address.';
+            if (value && !isValidPhone(value)) return 'Enter a 10-digit US phone number, like (865) 555-0123.';
+            return null;
+        },
+        'add-email': value => {
+            if (value && !EMAIL_PATTERN.test(value)) return 'Enter an email address like name@example.com.';
+            return null;
+        },
+        'add-website': value => {
+            if (value && !WEBSITE_PATTERN.test(value)) return 'Enter a web address like example.com.';
+            return null;
+        }
+    }
+};
+
+function openAddBusinessModal({ name = '' } = {}) {
+    resetAddBusinessModal();
+    $('#add-name').value = name;
+    elements.addBusinessModal.classList.add('active');
     document.body.style.overflow = 'hidden';
-    
+
     setTimeout(() => {
-        $('#contact-name').focus();
+        $('#add-name').focus();
     }, 100);
 }
 
-function closeContactModal() {
-    elements.contactModal.classList.remove('active');
+function closeAddBusinessModal() {
+    elements.addBusinessModal.classList.remove('active');
     document.body.style.overflow = '';
 }
 
-function handleContactSubmit(e) {
-    e.preventDefault();
-    
-    // Log lead data (in production, send to backend)
-    console.log('Lead submitted:', {
-        business: elements.contactBusinessName.textContent,
-        name: $('#contact-name').value,
-        email: $('#contact-email').value,
-        phone: $('#contact-phone').value,
-        subject: $('#contact-subject').value,
-        message: $('#contact-message').value
-    });
+function resetAddBusinessModal() {
+    elements.addBusinessForm.reset();
+    clearFormErrors(elements.addBusinessForm, elements.addErrorSummary);
+    addBusinessPhotos = [];
+    addBusinessDuplicates = [];
 
-    elements.contactForm.hidden = true;
-    elements.contactSuccess.hidden = false;
+    $('#add-category').innerHTML = '<option value="">Choose a category...</option>' + Object.entries(CATEGORY_LABELS)
+        .map(([value, label]) => `<option value="${value}">${escapeHTML(label)}</option>`)
+        .join('');
+    $('#add-town-options').innerHTML = getKnownTowns()
+        .sort()
+        .map(town => `<option value="${escapeHTML(town)}"></option>`)
+        .join('');
+    $('#add-tags').innerHTML = [...getKnownTags()]
+        .filter(tag => tag !== OPEN_24_HOURS_TAG)
+        .sort()
+        .map(tag => `
+            <label class="checkbox-option"><input type="checkbox" name="add-tag" value="${escapeHTML(tag)}"> ${escapeHTML(formatTagLabel(tag))}</label>
+        `)
+        .join('');
+    renderHoursFields(elements.addHours, 'add-hours');
+    renderAddBusinessPhotos();
+
+    showAddBusinessStep(1);
 }
 
-// ========================================
-// Claim Listing Modal
-// ========================================
+/**
+ * Steps 1-5 are the form; step 6 is the submitted confirmation
+ */
+function showAddBusinessStep(step) {
+    addBusinessStep = step;
+    updateStepIndicator(elements.addBusinessSteps, Math.min(step, ADD_BUSINESS_LAST_STEP));
 
-let claimCurrentStep = 1;
-let claimSelectedBusiness = null;
+    for (let i = 1; i <= ADD_BUSINESS_LAST_STEP; i++) {
+        $(`#add-step-${i}`).hidden = i !== step;
+    }
+    $('#add-step-done').hidden = step <= ADD_BUSINESS_LAST_STEP;
 
-function openClaimModal() {
-    resetClaimModal();
-    elements.claimModal.classList.add('active');
-    document.body.style.overflow = 'hidden';
-    
-    setTimeout(() => {
-        elements.claimSearch.focus();
-    }, 100);
+    elements.addBack.hidden = step === 1 || step > ADD_BUSINESS_LAST_STEP;
+    elements.addNext.textContent = step === ADD_BUSINESS_LAST_STEP
+        ? 'Submit for Review'
+        : step > ADD_BUSINESS_LAST_STEP ? 'Done' : 'Continue';
 }
 
-function closeClaimModal() {
-    elements.claimModal.classList.remove('active');
-    document.body.style.overflow = '';
+function validateAddBusinessStep(step) {
+    const panel = $(`#add-step-${step}`);
+    const errors = validateForm(panel, ADD_BUSINESS_RULES[step] || {});
+
+    if (step === 3) {
+        errors.push(...validateHoursFields(elements.addHours, 'add-hours'));
+    }
+
+    if (step === ADD_BUSINESS_LAST_STEP && addBusinessDuplicates.length > 0) {
+        const confirm = $('#add-not-duplicate');
+        if (confirm.checked) {
+            clearFieldError(confirm);
+        } else {
+            const message = 'Confirm this is a different business, or claim the existing listing instead.';
+            showFieldError(confirm, message);
+            errors.push({ field: confirm, message });
+        }
+    }
+
+    renderErrorSummary(elements.addErrorSummary, errors);
+    if (errors.length > 0) errors[0].field.focus();
+
+    return errors.length === 0;
 }
 
-function resetClaimModal() {
-    claimCurrentStep = 1;
-    claimSelectedBusiness = null;
-    
-    elements.claimSearch.value = '';
-    elements.claimResults.innerHTML = '<p class="claim-hint">Start typing to search for your business listing.</p>';
-    
-    elements.claimSteps.forEach((step, index) => {
-        step.classList.remove('active', 'completed');
-        if (index === 0) step.classList.add('active');
-    });
-    
-    elements.claimStep1.hidden = false;
-    elements.claimStep2.hidden = true;
-    elements.claimStep3.hidden = true;
-    
-    elements.claimBack.hidden = true;
-    elements.claimNext.disabled = true;
-    elements.claimNext.textContent = 'Continue';
-    
-    elements.verificationOptions.forEach(opt => {
-        opt.classList.remove('selected');
-        opt.querySelector('input').checked = false;
-    });
+/**
+ * Collect the wizard into a listing record, in the shape of businesses.json
+ */
+function buildBusinessSubmission() {
+    const website = $('#add-website').value.trim();
+    const phone = $('#add-phone').value.trim();
+    const place = resolvePlace($('#add-town').value);
+
+    return {
+        id: slugify($('#add-name').value.trim()),
+        name: $('#add-name').value.trim(),
+        category: $('#add-category').value,
+        tags: [...$$('#add-tags input:checked')].map(input => input.value),
+        ownership: {
+            women: $('#add-women').checked,
+            veteran: $('#add-veteran').checked
+        },
+        town: $('#add-town').value.trim(),
+        location: place ? { lat: place.place.lat, lng: place.place.lng } : null,
+        phone: phone ? formatPhone(phone) : '',
+        email: $('#add-email').value.trim(),
+        website: website.replace(/^https?:\/\//i, '').replace(/\/$/, ''),
+        description: $('#add-description').value.trim(),
+        services: parseServices($('#add-services').value),
+        hours: {
+            weekly: readHoursFields(elements.addHours, 'add-hours'),
+            byAppointment: $('#add-by-appointment').checked
+        },
+        photos: addBusinessPhotos.map(photo => photo.dataURL)
+    };
 }
 
-const handleClaimSearch = debounce((e) => {
-    const query = e.target.value.trim();
-    
-    if (!query) {
-        elements.claimResults.innerHTML = '<p class="claim-hint">Start typing to search for your business listing.</p>';
+function formatHoursSummary({ weekly, byAppointment }) {
+    const days = WEEK_DAYS
+        .filter(({ key }) => weekly[key].length > 0)
+        .map(({ key, label }) => `${label.slice(0, 3)} ${weekly[key][0].open}–${weekly[key][0].close}`);
+
+    if (byAppointment) days.push('By appointment');
+    return days.length > 0 ? days.join(', ') : 'No regular hours';
+}
+
+function renderAddBusinessReview() {
+    const submission = buildBusinessSubmission();
+    addBusinessDuplicates = findLikelyDuplicates(submission);
+
+    const ownership = Object.keys(OWNERSHIP_LABELS)
+        .filter(key => submission.ownership[key])
+        .map(key => OWNERSHIP_LABELS[key]);
+    const rows = [
+        ['Name', submission.name],
+        ['Category', CATEGORY_LABELS[submission.category]],
+        ['Town', submission.town],
+        ['Description', submission.description],
+        ['Ownership', ownership.join(', ') || 'Not specified'],
+        ['Features', submission.tags.map(formatTagLabel).join(', ') || 'None'],
+        ['Services', submission.services.join(', ') || 'None'],
+        ['Hours', formatHoursSummary(submission.hours)],
+        ['Phone', submission.phone || '—'],
+        ['Email', submission.email || '—'],
+        ['Website', submission.website || '—'],
+        ['Photos', String(submission.photos.length)]
+    ];
+
+    elements.addReview.innerHTML = rows
+        .map(([label, value]) => `<dt>${label}</dt><dd>${escapeHTML(value)}</dd>`)
+        .join('');
+
+    elements.addDuplicates.innerHTML = addBusinessDuplicates.length === 0 ? '' : `
+        <div class="duplicate-warning">
+            <p class="duplicate-warning-title">This may already be listed:</p>
+            <ul class="duplicate-list">
+                ${addBusinessDuplicates.map(({ business, reasons }) => `
+                    <li class="duplicate-item">
+                        <div>
+                            <div class="claim-result-name">${escapeHTML(business.name)}</div>
+                            <div class="claim-result-address">${escapeHTML([business.town, business.phone].filter(Boolean).join(' · '))} — ${escapeHTML(reasons.join(', '))}</div>
+                        </div>
+                        ${getClaimStatus(business) === 'unclaimed'
+                            ? `<button type="button" class="btn btn-ghost" data-claim-id="${escapeHTML(business.id)}">Claim this listing</button>`
+                            : ''}
+                    </li>
+                `).join('')}
+            </ul>
+            <div class="form-group">
+                <label class="checkbox-option">
+                    <input type="checkbox" id="add-not-duplicate"> This is a different business
+                </label>
+            </div>
+        </div>
+    `;
+}
+
+async function handleAddBusinessNext(e) {
+    e.preventDefault();
+    if (addBusinessBusy) return;
+
+    if (addBusinessStep > ADD_BUSINESS_LAST_STEP) {
+        closeAddBusinessModal();
         return;
     }
 
-    // Mock search results
-    const mockResults = [
-        { name: 'Ridgetop Accounting & Tax', address: 'Oak Ridge, TN', claimed: true },
-        { name: 'Anderson County Roofing', address: 'Clinton, TN', claimed: false },
-        { name: 'Smoky Mountain Bakehouse', address: 'Rocky Top, TN', claimed: false },
-        { name: 'Valley HVAC Solutions', address: 'Norris, TN', claimed: false },
-        { name: 'HC Web Labs', address: 'Anderson County, TN', claimed: false },
-        { name: 'Mountain Strong Physical Therapy', address: 'Oak Ridge, TN', claimed: false }
-    ].filter(b => normalizeText(b.name).includes(normalizeText(query)));
+    if (!validateAddBusinessStep(addBusinessStep)) return;
 
-    if (mockResults.length === 0) {
-        elements.claimResults.innerHTML = `
-            <p class="claim-hint">
-                No businesses found matching "${query}".<br>
-                <a href="#" style="color: var(--color-rust);">Add your business instead →</a>
-            </p>
-        `;
+    if (addBusinessStep === ADD_BUSINESS_LAST_STEP) {
+        await submitAddBusiness();
         return;
     }
 
-    elements.claimResults.innerHTML = mockResults.map(business => `
-        <div class="claim-result ${business.claimed ? '' : ''}" data-business="${business.name}" data-claimed="${business.claimed}">
-            <div>
-                <div class="claim-result-name">${business.name}</div>
-                <div class="claim-result-address">${business.address}</div>
-            </div>
-            <span class="claim-result-status ${business.claimed ? 'claim-result-status--claimed' : 'claim-result-status--available'}">
-                ${business.claimed ? 'Already claimed' : 'Available'}
-            </span>
-        </div>
-    `).join('');
+    if (addBusinessStep === ADD_BUSINESS_LAST_STEP - 1) {
+        renderAddBusinessReview();
+    }
 
-    // Add click handlers
-    elements.claimResults.querySelectorAll('.claim-result').forEach(result => {
-        result.addEventListener('click', () => {
-            const isClaimed = result.dataset.claimed === 'true';
-            
-            if (isClaimed) {
-                announceToScreenReader('This business has already been claimed');
-                return;
-            }
+    showAddBusinessStep(addBusinessStep + 1);
+    $(`#add-step-${addBusinessStep}`).querySelector('input, select, textarea, button')?.focus();
+}
 
-            elements.claimResults.querySelectorAll('.claim-result').forEach(r => {
-                r.classList.remove('selected');
-            });
-            result.classList.add('selected');
-            
-            claimSelectedBusiness = result.dataset.business;
-            elements.claimNext.disabled = false;
+function handleAddBusinessBack() {
+    if (addBusinessBusy || addBusinessStep === 1) return;
+
+    clearFormErrors(elements.addBusinessForm, elements.addErrorSummary);
+    showAddBusinessStep(addBusinessStep - 1);
+}
+
+async function submitAddBusiness() {
+    const submission = buildBusinessSubmission();
+
+    addBusinessBusy = true;
+    elements.addNext.disabled = true;
+    elements.addBack.disabled = true;
+    elements.addSubmitError.hidden = true;
+
+    try {
+        await submitForReview('new-business', {
+            business: submission,
+            possibleDuplicates: addBusinessDuplicates.map(({ business, reasons }) => ({ id: business.id, reasons }))
         });
-    });
-}, 300);
 
-function handleClaimNext() {
-    if (claimCurrentStep === 1 && claimSelectedBusiness) {
-        claimCurrentStep = 2;
-        elements.claimSelectedBusiness.textContent = claimSelectedBusiness;
-        
-        elements.claimSteps[0].classList.remove('active');
-        elements.claimSteps[0].classList.add('completed');
-        elements.claimSteps[1].classList.add('active');
-        
-        elements.claimStep1.hidden = true;
-        elements.claimStep2.hidden = false;
-        
-        elements.claimBack.hidden = false;
-        elements.claimNext.disabled = true;
-        
-    } else if (claimCurrentStep === 2) {
-        claimCurrentStep = 3;
-        
-        elements.claimSteps[1].classList.remove('active');
-        elements.claimSteps[1].classList.add('completed');
-        elements.claimSteps[2].classList.add('active');
-        
-        elements.claimStep2.hidden = true;
-        elements.claimStep3.hidden = false;
-        
-        elements.claimBack.hidden = true;
-        elements.claimNext.textContent = 'Done';
-        
-    } else if (claimCurrentStep === 3) {
-        closeClaimModal();
+        $('#add-done-text').textContent = `Thanks! ${submission.name} will appear in the directory once our team has reviewed it.`;
+        showAddBusinessStep(ADD_BUSINESS_LAST_STEP + 1);
+        elements.addNext.focus();
+        announceToScreenReader(`${submission.name} submitted for review`);
+    } catch (error) {
+        console.error('Unable to save submission:', error);
+        elements.addSubmitError.textContent = 'Your submission could not be saved. Please try again.';
+        elements.addSubmitError.hidden = false;
+    } finally {
+        addBusinessBusy = false;
+        elements.addNext.disabled = false;
+        elements.addBack.disabled = false;
     }
 }
 
-function handleClaimBack() {
-    if (claimCurrentStep === 2) {
-        claimCurrentStep = 1;
-        
-        elements.claimSteps[1].classList.remove('active');
-        elements.claimSteps[0].classList.remove('completed');
-        elements.claimSteps[0].classList.add('active');
-        
-        elements.claimStep2.hidden = true;
-        elements.claimStep1.hidden = false;
-        
-        elements.claimBack.hidden = true;
-        elements.claimNext.disabled = false;
+/**
+ * Re-check a field the user is correcting, as in the contact form
+ */
+function handleAddBusinessInput(e) {
+    const field = e.target;
+    const rules = ADD_BUSINESS_RULES[addBusinessStep] || {};
+
+    if (field.getAttribute('aria-invalid') !== 'true') return;
+
+    if (rules[field.id]) {
+        validateField(field, rules);
+    } else if (field.type === 'time') {
+        validateHoursFields(elements.addHours, 'add-hours');
+    } else if (field.id === 'add-not-duplicate' && field.checked) {
+        clearFieldError(field);
     }
 }
 
-function handleVerificationSelect(e) {
-    const option = e.currentTarget;
-    
-    elements.verificationOptions.forEach(opt => {
-        opt.classList.remove('selected');
-        opt.querySelector('input').checked = false;
-    });
-    
-    option.classList.add('selected');
-    option.querySelector('input').checked = true;
-    elements.claimNext.disabled = false;
+function renderPhotoPreviews(photos) {
+    return photos.map((photo, index) => `
+        <li class="photo-preview">
+            <img src="${escapeHTML(photo.dataURL)}" alt="${escapeHTML(photo.name)}">
+            <button type="button" class="photo-remove" data-index="${index}" aria-label="Remove ${escapeHTML(photo.name)}">×</button>
+        </li>
+    `).join('');
+}
+
+function renderAddBusinessPhotos() {
+    elements.addPhotoPreviews.innerHTML = renderPhotoPreviews(addBusinessPhotos);
+}
+
+/**
+ * Check and read picked images onto the end of `photos` (as { name, dataURL }),
+ * stopping at the photo limit. Returns the error messages for files left out.
+ */
+async function addPhotoFiles(files, photos) {
+    const errors = [];
+
+    for (const file of files) {
+        const error = validateUpload(file, { types: PHOTO_TYPES, maxBytes: PHOTO_MAX_BYTES });
+
+        if (error) {
+            errors.push(error);
+        } else if (photos.length >= ADD_BUSINESS_MAX_PHOTOS) {
+            errors.push(`You can add up to ${ADD_BUSINESS_MAX_PHOTOS} photos.`);
+            break;
+        } else {
+            try {
+                photos.push({ name: file.name, dataURL: await readFileAsDataURL(file) });
+            } catch (readError) {
+                errors.push(`${file.name} could not be read.`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+async function handleAddBusinessPhotos(e) {
+    const input = e.target;
+    const errors = await addPhotoFiles([...input.files], addBusinessPhotos);
+
+    input.value = '';
+    renderAddBusinessPhotos();
+
+    if (errors.length > 0) {
+        showFieldError(input, errors.join(' '));
+    } else {
+        clearFieldError(input);
+    }
+}
+
+function handleAddBusinessPhotoRemove(e) {
+    const button = e.target.closest('.photo-remove');
+    if (!button) return;
+
+    const [removed] = addBusinessPhotos.splice(Number(button.dataset.index), 1);
+    renderAddBusinessPhotos();
+    elements.addPhotos.focus();
+    announceToScreenReader(`Removed ${removed.name}`);
+}
+
+/**
+ * Send the owner to the claim wizard for an existing listing instead
+ */
+function handleDuplicateClaimClick(e) {
+    const button = e.target.closest('[data-claim-id]');
+    if (!button) return;
+
+    const business = getBusinessById(button.dataset.claimId);
+    closeAddBusinessModal();
+    openClaimModal();
+    elements.claimSearch.value = business.name;
+    elements.claimSearch.dispatchEvent(new Event('input'));
+}
+
+function handleAddBusinessLinkClick(e) {
+    e.preventDefault();
+    openAddBusinessModal();
 }
 
 // ========================================
 // Modal Utilities
 // ========================================
 
+/**
+ * Mark earlier wizard steps completed and the current one active (1-based)
+ */
+function updateStepIndicator(indicators, step) {
+    indicators.forEach((indicator, index) => {
+        indicator.classList.toggle('completed', index < step - 1);
+        indicator.classList.toggle('active', index === step - 1);
+        if (index === step - 1) {
+            indicator.setAttribute('aria-current', 'step');
+        } else {
+            indicator.removeAttribute('aria-current');
+        }
+    });
+}
+
 function handleModalOverlayClick(e) {
     if (e.target === e.currentTarget) {
         if (e.currentTarget.id === 'contact-modal') {
             closeContactModal();
         } else if (e.currentTarget.id === 'claim-modal') {
             closeClaimModal();
+        } else if (e.currentTarget.id === 'add-business-modal') {
+            closeAddBusinessModal();
         }
     }
 }
@@ -601,6 +8719,9 @@ function handleEscapeKey(e) {
         if (elements.claimModal.classList.contains('active')) {
             closeClaimModal();
         }
+        if (elements.addBusinessModal.classList.contains('active')) {
+            closeAddBusinessModal();
+        }
     }
 }
 
@@ -646,6 +8767,27 @@ function scrollToTop() {
 // ========================================
 
 function init() {
+    // Pre-rendered pages hand over to the app at the route they show
+    if (document.body.dataset.route) {
+        history.replaceState(null, '', document.body.dataset.route);
+    }
+
+    // Restore favorites and filters from the URL before the first render
+    loadFavorites();
+    loadClaims();
+    loadReviews();
+    loadOwnerEdits();
+    listingPhotosReady = loadListingPhotos();
+    loadModeration();
+    updateSavedCount();
+    restoreFiltersFromURL();
+    window.addEventListener('popstate', handlePopState);
+    window.addEventListener('hashchange', handleHashChange);
+
+    $$('[data-filter-link]').forEach(link => {
+        link.addEventListener('click', handleFilterLinkClick);
+    });
+
     // Search
     elements.searchInput.addEventListener('input', handleSearch);
     elements.searchForm.addEventListener('submit', handleSearchSubmit);
@@ -671,22 +8813,55 @@ function init() {
     // Clear filters button
     elements.clearFiltersBtn?.addEventListener('click', clearAllFilters);
 
-    // Favorite buttons
-    elements.favoriteButtons.forEach(btn => {
-        btn.addEventListener('click', handleFavoriteClick);
-    });
+    // Card actions (favorites, contact) via delegation
+    elements.listingsGrid.addEventListener('click', handleListingsClick);
+    elements.featuredGrid.addEventListener('click', handleListingsClick);
 
-    // Contact modal
-    elements.contactBtns.forEach(btn => {
-        btn.addEventListener('click', () => {
-            openContactModal(btn.dataset.business);
-        });
+    // Saved businesses
+    elements.savedBtn.addEventListener('click', handleSavedViewToggle);
+    elements.shareSavedBtn.addEventListener('click', handleShareSaved);
+    elements.keepSharedBtn.addEventListener('click', handleKeepShared);
+
+    // Location search
+    elements.nearForm.addEventListener('submit', handleNearSubmit);
+    elements.nearInput.addEventListener('change', handleNearSubmit);
+    elements.nearMeBtn.addEventListener('click', handleNearMeClick);
+    elements.radiusSelect.addEventListener('change', handleRadiusChange);
+
+    // Ratings
+    elements.ratingBtn.addEventListener('click', handleRatingFilterClick);
+
+    // Opening hours
+    elements.openNowBtn.addEventListener('click', handleOpenNowClick);
+    elements.openDay.addEventListener('change', handleOpenAtChange);
+    elements.openTime.addEventListener('change', handleOpenAtChange);
+    setInterval(refreshOpenStatuses, 60 * 1000);
+    setInterval(refreshSchedules, 60 * 1000);
+
+    // List / map toggle
+    elements.layoutButtons.forEach(btn => {
+        btn.addEventListener('click', handleLayoutToggle);
     });
+    elements.listingsMap.addEventListener('click', handleMapClick);
+    elements.listingsMap.addEventListener('keydown', handleMapKeydown);
+
+    // Sorting & pagination
+    elements.sortSelect.addEventListener('change', handleSortChange);
+    elements.loadMoreBtn.addEventListener('click', handleLoadMore);
+    elements.retryLoadBtn.addEventListener('click', loadDirectory);
 
+    // Contact modal
     elements.contactModal.addEventListener('click', handleModalOverlayClick);
     elements.contactModal.querySelector('.modal-close').addEventListener('click', closeContactModal);
     $('#contact-cancel').addEventListener('click', closeContactModal);
     $('#contact-done').addEventListener('click', closeContactModal);
+    $('#contact-queued-done').addEventListener('click', closeContactModal);
+    $('#contact-review-done').addEventListener('click', closeContactModal);
+    elements.contactForm.addEventListener('focusout', handleContactFieldEvent);
+    elements.contactForm.addEventListener('input', handleContactFieldEvent);
+    elements.contactForm.addEventListener('change', handleContactFieldEvent);
+    elements.contactErrorSummary.addEventListener('click', handleErrorSummaryClick);
+    $('#contact-phone').addEventListener('input', handlePhoneInput);
     elements.contactForm.addEventListener('submit', handleContactSubmit);
 
     // Claim modal
@@ -694,13 +8869,65 @@ function init() {
     elements.claimModal.addEventListener('click', handleModalOverlayClick);
     elements.claimModal.querySelector('.modal-close').addEventListener('click', closeClaimModal);
     elements.claimSearch.addEventListener('input', handleClaimSearch);
+    elements.claimResults.addEventListener('click', handleClaimResultClick);
     elements.claimNext.addEventListener('click', handleClaimNext);
     elements.claimBack.addEventListener('click', handleClaimBack);
+    elements.claimCode.addEventListener('input', updateClaimNext);
+    elements.claimCode.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') handleClaimNext();
+    });
+    elements.claimResend.addEventListener('click', sendClaimCode);
+    elements.claimDocument.addEventListener('change', handleClaimDocumentChange);
     
     elements.verificationOptions.forEach(opt => {
         opt.addEventListener('click', handleVerificationSelect);
     });
 
+    // Business detail view
+    elements.businessDetail.addEventListener('click', handleDetailClick);
+    elements.businessDetail.addEventListener('submit', handleDetailSubmit);
+
+    // Owner dashboard
+    elements.ownerDashboard.addEventListener('click', handleOwnerClick);
+    elements.ownerDashboard.addEventListener('input', handleOwnerInput);
+    elements.ownerDashboard.addEventListener('change', handleOwnerChange);
+    elements.ownerDashboard.addEventListener('submit', handleOwnerSubmit);
+    elements.ownerDashboard.addEventListener('click', handleInboxClick);
+    elements.ownerDashboard.addEventListener('change', handleInboxChange);
+    elements.ownerDashboard.addEventListener('input', handleInboxInput);
+    elements.ownerDashboard.addEventListener('change', handleOwnerStatsChange);
+    elements.claimCompleteText.addEventListener('click', handleClaimCompleteClick);
+
+    // Moderation
+    elements.adminView.addEventListener('click', handleAdminClick);
+    elements.adminView.addEventListener('change', handleAdminChange);
+    elements.adminView.addEventListener('input', handleAdminInput);
+
+    // Add business wizard
+    $('#add-business-btn').addEventListener('click', () => openAddBusinessModal());
+    $$('[data-action="add-business"]').forEach(link => link.addEventListener('click', handleAddBusinessLinkClick));
+    elements.addBusinessModal.addEventListener('click', handleModalOverlayClick);
+    elements.addBusinessModal.querySelector('.modal-close').addEventListener('click', closeAddBusinessModal);
+    elements.addBusinessForm.addEventListener('submit', handleAddBusinessNext);
+    elements.addBusinessForm.addEventListener('input', handleAddBusinessInput);
+    elements.addBusinessForm.addEventListener('change', handleAddBusinessInput);
+    elements.addBack.addEventListener('click', handleAddBusinessBack);
+    elements.addHours.addEventListener('change', handleHoursToggle);
+    elements.addPhotos.addEventListener('change', handleAddBusinessPhotos);
+    elements.addPhotoPreviews.addEventListener('click', handleAddBusinessPhotoRemove);
+    elements.addDuplicates.addEventListener('click', handleDuplicateClaimClick);
+    elements.addErrorSummary.addEventListener('click', handleErrorSummaryClick);
+    $('#add-phone').addEventListener('input', handlePhoneInput);
+
+    // Send batched usage events before the page is hidden or closed
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushAnalytics();
+    });
+
+    // Retry leads queued on earlier visits, and again when back online
+    processLeadQueue();
+    window.addEventListener('online', processLeadQueue);
+
     // Global keyboard handler
     document.addEventListener('keydown', handleEscapeKey);
 
@@ -708,6 +8935,8 @@ function init() {
     window.addEventListener('scroll', handleScroll, { passive: true });
     scrollTopBtn.addEventListener('click', scrollToTop);
 
+    loadDirectory();
+
     console.log('🏔️ Rocky Top Business Directory initialized');
 }
 
@@ -0,0 +1,418 @@
+#!/usr/bin/env node
+/**
+ * Rocky Top Business Directory - Static pre-rendering
+ *
+ * Writes a deployable copy of the site in which every business has its
+ * own page, each category and ownership badge has a landing page, and a
+ * sitemap.xml lists them all, so search engines can find listings that
+ * are otherwise only reachable by filtering in the browser.
+ *
+ *   node scripts/prerender.js --site-url https://rockytopdirectory.com [--out dist] [--data data/businesses.json]
+ *
+ * The markup comes from app.js itself, run in a sandbox, so the pages
+ * show exactly what the app renders. Each page is a copy of index.html
+ * with its view filled in; when app.js loads it takes over at the
+ * matching app route. No dependencies beyond Node 16.7 or later.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.resolve(__dirname, '..');
+const SITE_NAME = 'Rocky Top Business Directory';
+const REGION = 'East Tennessee';
+
+/** Files and folders copied into the output as they are */
+const STATIC_ASSETS = ['app.js', 'styles.css', 'data'];
+
+/** Ownership badges that get a landing page; "new" changes too often to be worth indexing */
+const OWNERSHIP_PAGES = {
+    women: 'Women-Owned Businesses',
+    veteran: 'Veteran-Owned Businesses'
+};
+
+// ========================================
+// Options
+// ========================================
+
+function parseArgs(argv) {
+    const options = {
+        siteUrl: process.env.SITE_URL || '',
+        out: 'dist',
+        data: 'data/businesses.json'
+    };
+    const names = { '--site-url': 'siteUrl', '--out': 'out', '--data': 'data' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inline] = argv[i].split(/=(.*)/s);
+        if (!names[flag]) throw new Error(`Unknown option ${flag}`);
+        options[names[flag]] = inline ?? argv[++i] ?? '';
+    }
+
+    if (!/^https?:\/\//.test(options.siteUrl)) {
+        throw new Error('Pass the public address of the site with --site-url (or SITE_URL), e.g. https://rockytopdirectory.com');
+    }
+
+    return {
+        siteUrl: options.siteUrl.replace(/\/?$/, '/'),
+        out: path.resolve(options.out),
+        data: path.resolve(options.data)
+    };
+}
+
+// ========================================
+// App Sandbox
+// ========================================
+
+/**
+ * Run app.js against a stand-in document that has no elements, so only its
+ * top-level declarations run. The feature filter buttons are read from
+ * index.html because formatTagLabel takes its labels from them.
+ */
+function loadApp(template, dataFile) {
+    const noop = () => {};
+    const tagButtons = [...template.matchAll(/<button class="tag" data-tag="([^"]+)">([^<]*)</g)]
+        .map(([, tag, label]) => ({ dataset: { tag }, firstChild: { textContent: label } }));
+
+    const context = vm.createContext({
+        console,
+        window: { RT_DIRECTORY_CONFIG: { prerender: true }, addEventListener: noop },
+        document: {
+            // Still "loading", so app.js waits for a DOMContentLoaded that never comes
+            readyState: 'loading',
+            title: SITE_NAME,
+            body: { dataset: {} },
+            addEventListener: noop,
+            querySelector: () => null,
+            querySelectorAll: selector => selector === '.tag' ? tagButtons : []
+        },
+        fetch: async () => ({ ok: true, json: async () => JSON.parse(fs.readFileSync(dataFile, 'utf8')) })
+    });
+
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'app.js'), 'utf8'), context, { filename: 'app.js' });
+
+    return vm.runInContext(`({
+        state, loadBusinesses, renderBusinessDetail, renderCards, getBusinessURL,
+        getRatingSummary, escapeHTML, CATEGORY_LABELS, WEEK_DAYS
+    })`, context);
+}
+
+// ========================================
+// Structured Data
+// ========================================
+
+function getAbsoluteURL(href, siteUrl) {
+    return new URL(href, siteUrl).href;
+}
+
+function getOpeningHours(hours, app) {
+    if (!hours) return [];
+
+    return app.WEEK_DAYS.flatMap(({ key, label }) => (hours.weekly[key] || []).map(range => ({
+        '@type': 'OpeningHoursSpecification',
+        dayOfWeek: label,
+        opens: range.open,
+        // schema.org has no 24:00; 23:59 is how open-until-midnight is written
+        closes: range.close === '24:00' ? '23:59' : range.close
+    })));
+}
+
+/**
+ * schema.org LocalBusiness for one listing. Empty values are left out.
+ */
+function toLocalBusiness(business, app, siteUrl) {
+    const url = getAbsoluteURL(app.getBusinessURL(business), siteUrl);
+    const { average, count } = app.getRatingSummary(business);
+    const website = business.website && (/^https?:\/\//i.test(business.website) ? business.website : `https://${business.website}`);
+    const images = business.photos
+        .map(src => getAbsoluteURL(src, siteUrl))
+        .filter(src => /^https?:/.test(src));
+    const openingHours = getOpeningHours(business.hours, app);
+
+    const data = {
+        '@type': 'LocalBusiness',
+        '@id': `${url}#business`,
+        name: business.name,
+        description: business.description,
+        url,
+        sameAs: website ? [website] : null,
+        telephone: business.phone,
+        email: business.email,
+        address: business.address ? {
+            '@type': 'PostalAddress',
+            streetAddress: business.address,
+            addressLocality: business.town,
+            addressRegion: 'TN',
+            addressCountry: 'US'
+        } : null,
+        areaServed: !business.address && business.town ? business.town : null,
+        geo: business.location ? {
+            '@type': 'GeoCoordinates',
+            latitude: business.location.lat,
+            longitude: business.location.lng
+        } : null,
+        openingHoursSpecification: openingHours.length > 0 ? openingHours : null,
+        image: images.length > 0 ? images : null,
+        aggregateRating: count > 0 ? {
+            '@type': 'AggregateRating',
+            ratingValue: Number(average.toFixed(1)),
+            reviewCount: count,
+            bestRating: 5,
+            worstRating: 1
+        } : null
+    };
+
+    return Object.fromEntries(Object.entries(data).filter(([, value]) => value !== null && value !== ''));
+}
+
+/**
+ * A landing page's listings as an ItemList of LocalBusiness entries
+ */
+function toItemList(businesses, app, siteUrl) {
+    return {
+        '@type': 'ItemList',
+        numberOfItems: businesses.length,
+        itemListElement: businesses.map((business, index) => ({
+            '@type': 'ListItem',
+            position: index + 1,
+            item: toLocalBusiness(business, app, siteUrl)
+        }))
+    };
+}
+
+// ========================================
+// Page Rendering
+// ========================================
+
+/**
+ * Replace the one place in index.html a page changes, failing loudly if
+ * the template no longer has it rather than writing a half-filled page
+ */
+function replaceOnce(html, search, replacement) {
+    const index = html.indexOf(search);
+    if (index === -1 || html.indexOf(search, index + 1) !== -1) {
+        throw new Error(`index.html should contain exactly one ${search.trim().slice(0, 80)}`);
+    }
+    return html.slice(0, index) + replacement + html.slice(index + search.length);
+}
+
+function truncate(text, max) {
+    return text.length > max ? `${text.slice(0, max - 1).replace(/\s+\S*$/, '')}…` : text;
+}
+
+function formatList(items) {
+    return items.length > 1 ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}` : items.join('');
+}
+
+/**
+ * Fill index.html in for one page. `depth` is how many folders below the
+ * site root the page sits, so <base> can point its relative links home.
+ * Pages other than the home page name the app `route` they show.
+ */
+function renderPage(template, app, page) {
+    const { escapeHTML } = app;
+    const head = [
+        `<link rel="canonical" href="${escapeHTML(page.url)}">`,
+        `<meta property="og:type" content="${page.ogType || 'website'}">`,
+        `<meta property="og:site_name" content="${SITE_NAME}">`,
+        `<meta property="og:title" content="${escapeHTML(page.heading)}">`,
+        `<meta property="og:description" content="${escapeHTML(page.description)}">`,
+        `<meta property="og:url" content="${escapeHTML(page.url)}">`,
+        page.image && `<meta property="og:image" content="${escapeHTML(page.image)}">`,
+        // "<" is escaped so a value can never close the script element early
+        `<script type="application/ld+json">${JSON.stringify({ '@context': 'https://schema.org', ...page.jsonLD }).replace(/</g, '\\u003c')}</script>`
+    ].filter(Boolean).map(tag => `    ${tag}\n`).join('');
+
+    let html = template;
+    const defaultTitle = html.match(/<title>([^<]*)<\/title>/)[1];
+
+    if (page.depth > 0) {
+        html = replaceOnce(html, '<meta charset="UTF-8">\n', `<meta charset="UTF-8">\n    <base href="${'../'.repeat(page.depth)}">\n`);
+        // With <base> set, a bare fragment would point at the home page
+        html = replaceOnce(html, 'href="#main-content"', `href="${escapeHTML(page.path)}#main-content"`);
+        html = replaceOnce(html, '<body>', `<body data-route="${escapeHTML(page.route)}" data-directory-title="${defaultTitle}">`);
+    }
+
+    html = html.replace(/<meta name="description" content="[^"]*">/, `<meta name="description" content="${escapeHTML(page.description)}">`);
+    html = replaceOnce(html, `<title>${defaultTitle}</title>\n`, `<title>${escapeHTML(page.title)}</title>\n${head}`);
+
+    if (page.detail) {
+        html = html.replace(/ data-view="directory">/g, ' data-view="directory" hidden>');
+        html = replaceOnce(
+            html,
+            'data-view="business" aria-labelledby="detail-title" hidden></section>',
+            `data-view="business" aria-labelledby="detail-title">${page.detail}</section>`
+        );
+        return html;
+    }
+
+    if (page.hero) {
+        html = replaceOnce(html, 'Discover <span>Local Businesses</span> in East Tennessee', `Discover <span>${escapeHTML(page.hero)}</span> in ${REGION}`);
+    }
+    html = replaceOnce(html, '<span class="results-count" id="results-count">0</span>', `<span class="results-count" id="results-count">${page.businesses.length}</span>`);
+    html = replaceOnce(
+        html,
+        'aria-label="Business listings" aria-busy="true">\n                        <!-- Business cards are rendered by app.js from data/businesses.json -->\n',
+        `aria-label="Business listings">${app.renderCards(page.businesses)}\n`
+    );
+    return html;
+}
+
+function getBusinessPage(business, app, siteUrl) {
+    const pagePath = app.getBusinessURL(business);
+    const url = getAbsoluteURL(pagePath, siteUrl);
+    const place = business.town ? ` in ${business.town}, TN` : '';
+    const jsonLD = toLocalBusiness(business, app, siteUrl);
+
+    return {
+        path: pagePath,
+        depth: 2,
+        route: `#/business/${encodeURIComponent(business.id)}`,
+        url,
+        title: `${business.name} | ${SITE_NAME}`,
+        heading: `${business.name}${place}`,
+        description: truncate(business.description || `${business.name}${place}.`, 160),
+        ogType: 'business.business',
+        image: jsonLD.image?.[0],
+        jsonLD,
+        detail: app.renderBusinessDetail(business)
+    };
+}
+
+/**
+ * A landing page for one filter, e.g. a category, with its listings in data order
+ */
+function getLandingPage({ pagePath, route, label, businesses }, app, siteUrl) {
+    const url = getAbsoluteURL(pagePath, siteUrl);
+    const townCounts = new Map();
+    businesses.forEach(business => business.town && townCounts.set(business.town, (townCounts.get(business.town) || 0) + 1));
+    const towns = [...townCounts].sort((a, b) => b[1] - a[1]).slice(0, 3).map(([town]) => town);
+
+    return {
+        path: pagePath,
+        depth: pagePath.split('/').filter(Boolean).length,
+        route,
+        url,
+        title: `${label} in ${REGION} | ${SITE_NAME}`,
+        heading: `${label} in ${REGION}`,
+        hero: label,
+        description: `Find local ${label.toLowerCase()} in ${REGION}: ${businesses.length} ${businesses.length === 1 ? 'listing' : 'listings'}${towns.length > 0 ? ` around ${formatList(towns)}` : ''}.`,
+        jsonLD: { '@type': 'CollectionPage', name: `${label} in ${REGION}`, url, mainEntity: toItemList(businesses, app, siteUrl) },
+        businesses
+    };
+}
+
+function getHomePage(businesses, template, app, siteUrl) {
+    return {
+        path: '',
+        depth: 0,
+        url: siteUrl,
+        title: template.match(/<title>([^<]*)<\/title>/)[1],
+        heading: SITE_NAME,
+        description: template.match(/<meta name="description" content="([^"]*)">/)[1],
+        jsonLD: { '@type': 'WebSite', name: SITE_NAME, url: siteUrl, mainEntity: toItemList(businesses, app, siteUrl) },
+        businesses
+    };
+}
+
+function renderSitemap(urls, escapeHTML) {
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...urls.map(url => `    <url><loc>${escapeHTML(url)}</loc></url>`),
+        '</urlset>',
+        ''
+    ].join('\n');
+}
+
+// ========================================
+// Build
+// ========================================
+
+/** Written into every build so a later one knows the folder is safe to empty */
+const BUILD_MARKER = '.prerendered';
+
+/**
+ * Empty the output folder. It must be the project's dist/ or somewhere
+ * outside the project, where a folder that already has files in it must
+ * be one this script wrote, so a mistyped --out can't delete anything else.
+ */
+function prepareOutput(out) {
+    const relative = path.relative(ROOT, out);
+    const insideProject = !relative.startsWith('..') && !path.isAbsolute(relative);
+
+    if (insideProject && relative !== 'dist') {
+        throw new Error(`--out ${out} is inside the project; use dist or a folder outside it`);
+    }
+
+    if (!insideProject && fs.existsSync(out) && fs.readdirSync(out).length > 0 && !fs.existsSync(path.join(out, BUILD_MARKER))) {
+        throw new Error(`--out ${out} has files that an earlier build didn't write; empty it or choose another folder`);
+    }
+
+    fs.rmSync(out, { recursive: true, force: true });
+    fs.mkdirSync(out, { recursive: true });
+    fs.writeFileSync(path.join(out, BUILD_MARKER), '');
+}
+
+function writePage(out, page, html) {
+    const dir = path.join(out, page.path);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'index.html'), html);
+}
+
+async function build(argv) {
+    const options = parseArgs(argv);
+    const template = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const app = loadApp(template, options.data);
+
+    app.state.businesses = await app.loadBusinesses();
+
+    const seen = new Set();
+    const businesses = app.state.businesses.filter(business => {
+        if (!/^[a-z0-9][a-z0-9-]*$/.test(business.id) || seen.has(business.id)) {
+            console.warn(`Skipping "${business.name}": its id "${business.id}" is ${seen.has(business.id) ? 'used twice' : 'not a lowercase slug'}`);
+            return false;
+        }
+        seen.add(business.id);
+        return true;
+    });
+
+    const landingPages = [
+        ...Object.entries(app.CATEGORY_LABELS).map(([category, label]) => ({
+            pagePath: `category/${category}/`,
+            route: `?category=${category}`,
+            label,
+            businesses: businesses.filter(business => business.category === category)
+        })),
+        ...Object.entries(OWNERSHIP_PAGES).map(([owner, label]) => ({
+            pagePath: `ownership/${owner}/`,
+            route: `?owner=${owner}`,
+            label,
+            businesses: businesses.filter(business => business.ownership[owner])
+        }))
+    ].filter(landing => landing.businesses.length > 0);
+
+    const pages = [
+        getHomePage(businesses, template, app, options.siteUrl),
+        ...landingPages.map(landing => getLandingPage(landing, app, options.siteUrl)),
+        ...businesses.map(business => getBusinessPage(business, app, options.siteUrl))
+    ];
+
+    prepareOutput(options.out);
+    STATIC_ASSETS.forEach(asset => fs.cpSync(path.join(ROOT, asset), path.join(options.out, asset), { recursive: true }));
+    pages.forEach(page => writePage(options.out, page, renderPage(template, app, page)));
+
+    const sitemapUrl = getAbsoluteURL('sitemap.xml', options.siteUrl);
+    fs.writeFileSync(path.join(options.out, 'sitemap.xml'), renderSitemap(pages.map(page => page.url), app.escapeHTML));
+    fs.writeFileSync(path.join(options.out, 'robots.txt'), `User-agent: *\nAllow: /\n\nSitemap: ${sitemapUrl}\n`);
+
+    console.log(`Wrote ${businesses.length} business pages, ${landingPages.length} landing pages and the home page to ${path.relative(process.cwd(), options.out) || '.'}`);
+}
+
+build(process.argv.slice(2)).catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});